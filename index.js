@@ -1,7 +1,14 @@
+const analytics = require('./lib/analytics');
 const api = require('./lib/etherpad/api');
+const captions = require('./lib/captions');
+const checkpoints = require('./lib/utils/checkpoints');
+const database = require('./lib/redis/database');
 const subscriber = require('./lib/redis/subscriber');
 const monitor = require('./lib/utils/monitor');
 const server = require('./lib/express/server');
+const reconciler = require('./lib/utils/reconciler');
+const renewal = require('./lib/utils/renewal');
+const retention = require('./lib/utils/retention');
 const Logger = require('./lib/utils/logger');
 const prometheus = require('./lib/utils/prometheus');
 
@@ -25,13 +32,30 @@ const abort = (error) => {
   process.exit(1);
 };
 
+const run = () => {
+  api.start();
+  subscriber.start();
+  server.start();
+  monitor.start();
+  renewal.start();
+  retention.start();
+  checkpoints.start();
+  prometheus.start();
+};
+
 const start = () => {
   api.check().then(() => {
-    api.call('checkToken').then(() => {
-      subscriber.start();
-      server.start();
-      monitor.start();
-      prometheus.start();
+    api.checkTokens().then(() => {
+      Promise.all([
+        database.restore().catch(() => logger.error('restoring')).then(() => {
+          // Only timelines of restored caption pads take over their persisted cues
+          return captions.restore().catch(() => logger.error('restoring captions'));
+        }),
+        analytics.restore().catch(() => logger.error('restoring analytics')),
+      ]).then(() => {
+        // Reconcile before handling events so new groups are not taken as orphans
+        reconciler.start().catch(() => logger.error('reconciling')).then(() => run());
+      });
     }).catch(() => abort('key-mismatch'));
   }).catch((error) => {
     logger.warn('starting', error);
@@ -0,0 +1,127 @@
+const _ = require('lodash');
+const changeset = require('../etherpad/changeset');
+const persistence = require('../persistence');
+const Logger = require('../utils/logger');
+const config = require('../../config');
+
+const logger = new Logger('analytics');
+
+const { analytics: settings = {} } = config;
+
+const {
+  enabled: ENABLED = true,
+  throttle: THROTTLE = 15000,
+} = settings;
+
+// Contributions by meeting, then by pad and user
+const contributions = {};
+
+const store = persistence.createStore('analytics');
+
+const dirty = new Set();
+
+const flush = _.throttle(() => {
+  dirty.forEach(meetingId => {
+    if (contributions[meetingId]) store.save(meetingId, contributions[meetingId]);
+  });
+
+  dirty.clear();
+}, THROTTLE, {
+  leading: false,
+  trailing: true,
+});
+
+const buildContribution = (name, time) => {
+  return {
+    name,
+    added: 0,
+    removed: 0,
+    edits: 0,
+    first: time,
+    last: time,
+  };
+};
+
+const record = (meetingId, padId, {
+  userId,
+  name = null,
+}, cs, time = Date.now()) => {
+  if (!ENABLED) return null;
+
+  const counted = changeset.count(cs);
+  if (!counted) {
+    logger.warn('invalid changeset', { meetingId, padId, userId });
+
+    return null;
+  }
+
+  if (!contributions[meetingId]) contributions[meetingId] = {};
+  if (!contributions[meetingId][padId]) contributions[meetingId][padId] = {};
+
+  const pad = contributions[meetingId][padId];
+  if (!pad[userId]) pad[userId] = buildContribution(name, time);
+
+  const contribution = pad[userId];
+  contribution.added += counted.added;
+  contribution.removed += counted.removed;
+  contribution.edits++;
+  contribution.last = time;
+  if (name) contribution.name = name;
+
+  dirty.add(meetingId);
+  flush();
+
+  return contribution;
+};
+
+const get = (meetingId, padId) => {
+  if (!contributions[meetingId] || !contributions[meetingId][padId]) return {};
+
+  return contributions[meetingId][padId];
+};
+
+const move = (meetingId, padId, newPadId) => {
+  if (!contributions[meetingId] || !contributions[meetingId][padId]) return;
+
+  contributions[meetingId][newPadId] = contributions[meetingId][padId];
+  delete contributions[meetingId][padId];
+
+  dirty.add(meetingId);
+  flush();
+};
+
+const removePad = (meetingId, padId) => {
+  if (!contributions[meetingId] || !contributions[meetingId][padId]) return;
+
+  delete contributions[meetingId][padId];
+
+  dirty.add(meetingId);
+  flush();
+};
+
+const remove = (meetingId) => {
+  delete contributions[meetingId];
+  dirty.delete(meetingId);
+  store.remove(meetingId);
+};
+
+const restore = () => {
+  if (!ENABLED) return Promise.resolve();
+
+  return store.load().then(records => {
+    Object.entries(records).forEach(([meetingId, pads]) => {
+      if (!contributions[meetingId]) contributions[meetingId] = pads;
+    });
+
+    logger.info('loaded', { meetings: Object.keys(records).length });
+  });
+};
+
+module.exports = {
+  record,
+  get,
+  move,
+  removePad,
+  remove,
+  restore,
+};
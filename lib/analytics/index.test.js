@@ -0,0 +1,74 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  redis: {},
+  persistence: { backend: 'memory' },
+  analytics: { throttle: 1000 },
+}));
+
+// lodash takes the timers it throttles with when loaded
+jest.useFakeTimers();
+
+const persistence = require('../persistence');
+const analytics = require('./index');
+
+const store = persistence.createStore('analytics');
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+test('contributions are aggregated by pad and user', () => {
+  analytics.record('aggregate', 'g.1$notes', { userId: 'a', name: 'A' }, 'Z:1>3*0+3$abc', 1000);
+  analytics.record('aggregate', 'g.1$notes', { userId: 'a' }, 'Z:4<2=1-2$', 2000);
+  analytics.record('aggregate', 'g.1$notes', { userId: 'b', name: 'B' }, 'Z:2>1*0+1$d', 3000);
+
+  expect(analytics.get('aggregate', 'g.1$notes')).toEqual({
+    a: { name: 'A', added: 3, removed: 2, edits: 2, first: 1000, last: 2000 },
+    b: { name: 'B', added: 1, removed: 0, edits: 1, first: 3000, last: 3000 },
+  });
+  expect(analytics.get('aggregate', 'g.1$other')).toEqual({});
+  expect(analytics.get('unknown', 'g.1$notes')).toEqual({});
+});
+
+test('invalid changesets are not counted', () => {
+  expect(analytics.record('invalid', 'g.1$notes', { userId: 'a' }, 'bad')).toBe(null);
+  expect(analytics.get('invalid', 'g.1$notes')).toEqual({});
+});
+
+test('contributions are persisted once per throttle interval', async () => {
+  analytics.record('throttled', 'g.1$notes', { userId: 'a' }, 'Z:1>1*0+1$a');
+  analytics.record('throttled', 'g.1$notes', { userId: 'a' }, 'Z:2>1*0+1$b');
+  await flush();
+  expect((await store.load()).throttled).toBeUndefined();
+
+  jest.advanceTimersByTime(1000);
+  await flush();
+  expect((await store.load()).throttled['g.1$notes'].a.edits).toBe(2);
+});
+
+test('contributions follow renamed pads and go with deleted ones', async () => {
+  analytics.record('moved', 'g.1$notes', { userId: 'a' }, 'Z:1>1*0+1$a');
+  analytics.record('moved', 'g.1$other', { userId: 'a' }, 'Z:1>1*0+1$a');
+
+  analytics.move('moved', 'g.1$notes', 'g.1$minutes');
+  expect(analytics.get('moved', 'g.1$notes')).toEqual({});
+  expect(analytics.get('moved', 'g.1$minutes').a.added).toBe(1);
+
+  analytics.removePad('moved', 'g.1$minutes');
+  jest.advanceTimersByTime(1000);
+  await flush();
+
+  expect(analytics.get('moved', 'g.1$minutes')).toEqual({});
+  expect(Object.keys((await store.load()).moved)).toEqual(['g.1$other']);
+
+  analytics.remove('moved');
+  await flush();
+  expect((await store.load()).moved).toBeUndefined();
+});
+
+test('contributions are restored from persistence', async () => {
+  const contribution = { name: 'A', added: 1, removed: 0, edits: 1, first: 1000, last: 1000 };
+  await store.save('restored', { 'g.1$notes': { a: contribution } });
+
+  await analytics.restore();
+
+  expect(analytics.get('restored', 'g.1$notes')).toEqual({ a: contribution });
+});
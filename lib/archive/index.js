@@ -0,0 +1,125 @@
+const analytics = require('../analytics');
+const api = require('../etherpad/api');
+const captions = require('../captions');
+const database = require('../redis/database');
+const sender = require('../redis/sender');
+const { ids } = require('../utils/constants');
+const Logger = require('../utils/logger');
+const config = require('../../config');
+
+const logger = new Logger('archive');
+
+const { archive: settings = {} } = config;
+
+const {
+  enabled: ENABLED = false,
+  backend: BACKEND = 'local',
+} = settings;
+
+const BACKENDS = {
+  local: './local',
+};
+
+// Storage backends expose a single write(file, content) returning a promise
+const backend = ENABLED ? require(BACKENDS[BACKEND] || BACKEND) : null;
+
+const MANIFEST = 'manifest.json';
+
+// Keep ids from escaping their directory
+const sanitize = (segment) => String(segment).replace(/[^\w.-]/g, '_').replace(/^\.+$/, '_');
+
+const buildPath = (...segments) => segments.map(sanitize).join('/');
+
+const parseName = (padId) => padId.split('$')[1];
+
+const archivePad = (meetingId, {
+  groupId,
+  externalId,
+  model,
+  padId,
+}) => {
+  const name = parseName(padId);
+  const base = buildPath(meetingId, model, externalId, name);
+
+  return Promise.all([
+    api.call('getText', { padID: padId }, meetingId),
+    api.call('getHTML', { padID: padId }, meetingId),
+  ]).then(([{ text }, { html }]) => {
+    const metadata = {
+      meetingId,
+      groupId,
+      padId,
+      name,
+      model,
+      externalId,
+    };
+
+    const contents = {
+      txt: text,
+      html,
+      json: JSON.stringify({
+        ...metadata,
+        text,
+        contributions: analytics.get(meetingId, padId),
+      }, null, 2),
+    };
+
+    // Caption pads also get their timed subtitles
+    if (captions.has(padId)) {
+      captions.formats.forEach(format => {
+        contents[format] = captions.render(padId, format);
+      });
+    }
+
+    const files = Object.keys(contents).map(extension => `${base}.${extension}`);
+    const promises = Object.entries(contents).map(([extension, content]) => {
+      return backend.write(`${base}.${extension}`, content);
+    });
+
+    return Promise.all(promises).then(() => {
+      logger.trace(ids.PAD, 'archived', { meetingId, groupId, padId });
+
+      return {
+        ...metadata,
+        files,
+      };
+    });
+  });
+};
+
+const archive = (meetingId) => {
+  if (!ENABLED) return Promise.resolve();
+
+  const pads = database.getMeetingPads(meetingId);
+  if (pads.length === 0) return Promise.resolve();
+
+  const manifest = {
+    meetingId,
+    archivedAt: Date.now(),
+    pads: [],
+    failed: [],
+  };
+
+  // One pad at a time to spare Etherpad
+  const chain = pads.reduce((result, pad) => result.then(() => {
+    return archivePad(meetingId, pad).then(entry => manifest.pads.push(entry)).catch(() => {
+      logger.error(ids.PAD, 'archiving', { meetingId, padId: pad.padId });
+      manifest.failed.push(pad.padId);
+    });
+  }), Promise.resolve());
+
+  return chain.then(() => {
+    const file = buildPath(meetingId, MANIFEST);
+
+    return backend.write(file, JSON.stringify(manifest, null, 2)).then(() => {
+      const padIds = manifest.pads.map(pad => pad.padId);
+      logger.info(ids.MEETING, 'archived', { meetingId, pads: padIds.length, failed: manifest.failed.length });
+
+      sender.send('padArchived', meetingId, { manifest: file, padIds, failed: manifest.failed });
+    });
+  });
+};
+
+module.exports = {
+  archive,
+};
@@ -0,0 +1,91 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  archive: { enabled: true, backend: 'local' },
+}));
+
+jest.mock('./local', () => ({ write: jest.fn(() => Promise.resolve()) }));
+
+jest.mock('../analytics', () => ({ get: jest.fn(() => ({})) }));
+
+jest.mock('../captions', () => ({
+  formats: ['vtt', 'srt'],
+  has: jest.fn(padId => padId.endsWith('$en')),
+  render: jest.fn((padId, format) => format),
+}));
+
+jest.mock('../etherpad/api', () => ({ call: jest.fn() }));
+
+jest.mock('../redis/database', () => ({ getMeetingPads: jest.fn() }));
+
+jest.mock('../redis/sender', () => ({ send: jest.fn() }));
+
+const api = require('../etherpad/api');
+const database = require('../redis/database');
+const local = require('./local');
+const sender = require('../redis/sender');
+const { archive } = require('./index');
+
+const getFiles = () => local.write.mock.calls.map(([file]) => file);
+
+beforeEach(() => {
+  local.write.mockClear();
+  sender.send.mockClear();
+  api.call.mockImplementation((method, { padID: padId }) => {
+    if (padId.includes('broken')) return Promise.reject();
+
+    return Promise.resolve(method === 'getText' ? { text: padId } : { html: `<p>${padId}</p>` });
+  });
+});
+
+test('pads are archived along with a manifest', async () => {
+  database.getMeetingPads.mockReturnValue([
+    { groupId: 'g.1', externalId: '../notes', model: 'notes', padId: 'g.1$notes' },
+    { groupId: 'g.2', externalId: 'captions', model: 'captions', padId: 'g.2$en' },
+  ]);
+
+  await archive('meeting');
+
+  // Ids cannot escape the meeting's directory
+  expect(getFiles()).toEqual([
+    'meeting/notes/.._notes/notes.txt',
+    'meeting/notes/.._notes/notes.html',
+    'meeting/notes/.._notes/notes.json',
+    'meeting/captions/captions/en.txt',
+    'meeting/captions/captions/en.html',
+    'meeting/captions/captions/en.json',
+    'meeting/captions/captions/en.vtt',
+    'meeting/captions/captions/en.srt',
+    'meeting/manifest.json',
+  ]);
+
+  const manifest = JSON.parse(local.write.mock.calls.pop()[1]);
+  expect(manifest.pads.map(({ padId }) => padId)).toEqual(['g.1$notes', 'g.2$en']);
+  expect(manifest.failed).toEqual([]);
+  expect(sender.send).toHaveBeenCalledWith('padArchived', 'meeting', {
+    manifest: 'meeting/manifest.json',
+    padIds: ['g.1$notes', 'g.2$en'],
+    failed: [],
+  });
+});
+
+test('failed pads are listed in the manifest', async () => {
+  database.getMeetingPads.mockReturnValue([
+    { groupId: 'g.1', externalId: 'notes', model: 'notes', padId: 'g.1$broken' },
+    { groupId: 'g.1', externalId: 'notes', model: 'notes', padId: 'g.1$notes' },
+  ]);
+
+  await archive('meeting');
+
+  const manifest = JSON.parse(local.write.mock.calls.pop()[1]);
+  expect(manifest.pads.map(({ padId }) => padId)).toEqual(['g.1$notes']);
+  expect(manifest.failed).toEqual(['g.1$broken']);
+});
+
+test('meetings without pads are not archived', async () => {
+  database.getMeetingPads.mockReturnValue([]);
+
+  await archive('meeting');
+
+  expect(local.write).not.toHaveBeenCalled();
+  expect(sender.send).not.toHaveBeenCalled();
+});
@@ -0,0 +1,19 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../../config');
+
+const { archive: settings = {} } = config;
+
+const { directory: DIRECTORY = '/var/bigbluebutton/pads' } = settings;
+
+const write = (file, content) => {
+  const target = path.join(DIRECTORY, file);
+
+  return fs.promises.mkdir(path.dirname(target), { recursive: true }).then(() => {
+    return fs.promises.writeFile(target, content);
+  });
+};
+
+module.exports = {
+  write,
+};
@@ -0,0 +1,184 @@
+// Timed cues out of a caption pad's text history
+
+const DEFAULTS = {
+  // Longest cue, in characters, before it is split at a word boundary
+  length: 84,
+  // Silence, in milliseconds, that closes the cue being written
+  pause: 3000,
+  // Shortest cue display time, in milliseconds
+  duration: 1000,
+};
+
+const SENTENCE = /[.!?]+\s/g;
+
+const createTimeline = (start = Date.now()) => {
+  return {
+    start,
+    text: '',
+    cues: [],
+    pending: null,
+  };
+};
+
+const getOffset = (timeline) => {
+  const { cues } = timeline;
+
+  return cues.length !== 0 ? cues[cues.length - 1].to : 0;
+};
+
+const getPrefix = (a, b) => {
+  const length = Math.min(a.length, b.length);
+  let index = 0;
+  while (index < length && a[index] === b[index]) index++;
+
+  return index;
+};
+
+const close = (timeline, to, end) => {
+  const { pending } = timeline;
+  timeline.cues.push({
+    from: getOffset(timeline),
+    to,
+    start: pending.start,
+    end,
+  });
+
+  timeline.pending = null;
+};
+
+// Closes cues at sentence ends or, when too long, at the last word boundary
+const split = (timeline, time, options) => {
+  let from = getOffset(timeline);
+  let remaining = timeline.text.slice(from);
+
+  while (timeline.pending) {
+    SENTENCE.lastIndex = 0;
+    const sentence = SENTENCE.exec(remaining);
+
+    let to = null;
+    if (sentence && sentence.index + sentence[0].length <= options.length) {
+      to = sentence.index + sentence[0].length;
+    } else if (remaining.length > options.length) {
+      const space = remaining.lastIndexOf(' ', options.length);
+      to = space > 0 ? space + 1 : options.length;
+    }
+
+    if (to === null) break;
+
+    close(timeline, from + to, time);
+    from += to;
+    remaining = remaining.slice(to);
+    if (remaining.trim().length !== 0) timeline.pending = { start: time, end: time };
+  }
+};
+
+const record = (timeline, text, time = Date.now(), options = DEFAULTS) => {
+  const settings = { ...DEFAULTS, ...options };
+  const prefix = getPrefix(timeline.text, text);
+
+  // Edited cues are reopened, keeping their original start
+  while (timeline.cues.length !== 0 && timeline.cues[timeline.cues.length - 1].to > prefix) {
+    const { start } = timeline.cues.pop();
+    timeline.pending = {
+      start,
+      end: time,
+    };
+  }
+
+  const { pending } = timeline;
+  if (pending && time - pending.end > settings.pause && timeline.text.length <= prefix) {
+    const to = Math.min(timeline.text.length, prefix);
+    if (to > getOffset(timeline)) close(timeline, to, pending.end);
+  }
+
+  timeline.text = text;
+
+  const remaining = text.slice(getOffset(timeline));
+  if (remaining.trim().length === 0) {
+    timeline.pending = null;
+
+    return timeline;
+  }
+
+  if (timeline.pending) {
+    timeline.pending.end = time;
+  } else {
+    timeline.pending = {
+      start: time,
+      end: time,
+    };
+  }
+
+  split(timeline, time, settings);
+
+  return timeline;
+};
+
+const getCues = (timeline, options = DEFAULTS) => {
+  const settings = { ...DEFAULTS, ...options };
+  const { text, pending } = timeline;
+  const cues = [...timeline.cues];
+
+  if (pending) {
+    cues.push({
+      from: getOffset(timeline),
+      to: text.length,
+      start: pending.start,
+      end: pending.end,
+    });
+  }
+
+  return cues.reduce((result, cue, index) => {
+    const content = text.slice(cue.from, cue.to).replace(/\s+/g, ' ').trim();
+    if (content.length === 0) return result;
+
+    // Stretch short cues without overlapping the next one
+    const next = cues[index + 1];
+    let end = Math.max(cue.end, cue.start + settings.duration);
+    if (next) end = Math.min(end, Math.max(next.start, cue.start + 1));
+
+    result.push({
+      start: cue.start - timeline.start,
+      end: end - timeline.start,
+      text: content,
+    });
+
+    return result;
+  }, []);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTime = (time, separator) => {
+  const value = Math.max(time, 0);
+  const hours = Math.floor(value / 3600000);
+  const minutes = Math.floor(value / 60000) % 60;
+  const seconds = Math.floor(value / 1000) % 60;
+  const milliseconds = value % 1000;
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(milliseconds, 3)}`;
+};
+
+const toWebVTT = (cues) => {
+  const blocks = cues.map((cue, index) => {
+    return `${index + 1}\n${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}\n${cue.text}\n`;
+  });
+
+  return ['WEBVTT\n', ...blocks].join('\n');
+};
+
+const toSRT = (cues) => {
+  const blocks = cues.map((cue, index) => {
+    return `${index + 1}\n${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}\n${cue.text}\n`;
+  });
+
+  return blocks.join('\n');
+};
+
+module.exports = {
+  createTimeline,
+  record,
+  getCues,
+  toWebVTT,
+  toSRT,
+};
@@ -0,0 +1,58 @@
+const {
+  createTimeline,
+  record,
+  getCues,
+  toWebVTT,
+  toSRT,
+} = require('./cues');
+
+test('cues split at sentence ends', () => {
+  const timeline = createTimeline(0);
+  record(timeline, 'Hello', 1000);
+  record(timeline, 'Hello world. How', 2000);
+  record(timeline, 'Hello world. How are you', 3500);
+
+  expect(getCues(timeline)).toEqual([
+    { start: 1000, end: 2000, text: 'Hello world.' },
+    { start: 2000, end: 3500, text: 'How are you' },
+  ]);
+});
+
+test('cues split after a pause', () => {
+  const timeline = createTimeline(0);
+  record(timeline, 'first', 1000);
+  record(timeline, 'first second', 10000);
+
+  expect(getCues(timeline)).toEqual([
+    { start: 1000, end: 2000, text: 'first' },
+    { start: 10000, end: 11000, text: 'second' },
+  ]);
+});
+
+test('cues split when too long', () => {
+  const timeline = createTimeline(0);
+  record(timeline, 'one two three four', 1000, { length: 10 });
+
+  expect(getCues(timeline).map(cue => cue.text)).toEqual(['one two', 'three four']);
+});
+
+test('edited cues keep their start', () => {
+  const timeline = createTimeline(0);
+  record(timeline, 'Hello world. Bye', 1000);
+  record(timeline, 'Hello there. Bye', 5000);
+
+  expect(getCues(timeline)).toEqual([
+    { start: 1000, end: 5000, text: 'Hello there.' },
+    { start: 5000, end: 6000, text: 'Bye' },
+  ]);
+});
+
+test('subtitle formats', () => {
+  const cues = [
+    { start: 1000, end: 2500, text: 'Hello world.' },
+    { start: 3723004, end: 3724000, text: 'Bye' },
+  ];
+
+  expect(toWebVTT(cues)).toBe('WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.500\nHello world.\n\n2\n01:02:03.004 --> 01:02:04.000\nBye\n');
+  expect(toSRT(cues)).toBe('1\n00:00:01,000 --> 00:00:02,500\nHello world.\n\n2\n01:02:03,004 --> 01:02:04,000\nBye\n');
+});
@@ -0,0 +1,100 @@
+const EventEmitter = require('node:events');
+
+// Events kept per pad for resuming streams
+const BUFFER = 100;
+
+const types = {
+  TEXT: 'text',
+  PATCH: 'patch',
+  END: 'end',
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const feeds = {};
+
+// New feeds start from the pad's current text
+const getFeed = (padId, text = '') => {
+  if (!feeds[padId]) {
+    feeds[padId] = {
+      sequence: 0,
+      events: [],
+      text,
+    };
+  }
+
+  return feeds[padId];
+};
+
+const publish = (padId, patch, text) => {
+  const feed = getFeed(padId);
+  feed.sequence++;
+  feed.text = text;
+
+  const event = {
+    id: feed.sequence,
+    type: types.PATCH,
+    data: patch,
+  };
+
+  feed.events.push(event);
+  if (feed.events.length > BUFFER) feed.events.shift();
+
+  emitter.emit(padId, event);
+};
+
+const buildSnapshot = (feed) => {
+  return {
+    id: feed.sequence,
+    type: types.TEXT,
+    data: { text: feed.text },
+  };
+};
+
+// Replays what was missed since the last event id, or starts from the full text
+const subscribe = (padId, lastEventId, listener, text = '') => {
+  const feed = getFeed(padId, text);
+  const last = Number.parseInt(lastEventId, 10);
+  const oldest = feed.events.length !== 0 ? feed.events[0].id : feed.sequence + 1;
+
+  if (Number.isInteger(last) && last >= oldest - 1 && last <= feed.sequence) {
+    feed.events.filter(event => event.id > last).forEach(listener);
+  } else {
+    listener(buildSnapshot(feed));
+  }
+
+  emitter.on(padId, listener);
+
+  return () => emitter.removeListener(padId, listener);
+};
+
+const remove = (padId) => {
+  if (feeds[padId]) {
+    emitter.emit(padId, {
+      id: feeds[padId].sequence,
+      type: types.END,
+      data: {},
+    });
+
+    emitter.removeAllListeners(padId);
+    delete feeds[padId];
+  }
+};
+
+// Streams of the old pad end, the new one keeps its events
+const move = (padId, newPadId) => {
+  const feed = feeds[padId];
+  if (feed) {
+    remove(padId);
+    feeds[newPadId] = feed;
+  }
+};
+
+module.exports = {
+  types,
+  publish,
+  subscribe,
+  remove,
+  move,
+};
@@ -0,0 +1,46 @@
+const {
+  publish,
+  subscribe,
+  remove,
+} = require('./feed');
+
+test('feed starts from the full text', () => {
+  publish('padId', { start: 0, end: 0, text: 'a' }, 'a');
+  const events = [];
+  const unsubscribe = subscribe('padId', undefined, event => events.push(event));
+  publish('padId', { start: 1, end: 1, text: 'b' }, 'ab');
+  unsubscribe();
+
+  expect(events).toEqual([
+    { id: 1, type: 'text', data: { text: 'a' } },
+    { id: 2, type: 'patch', data: { start: 1, end: 1, text: 'b' } },
+  ]);
+
+  remove('padId');
+});
+
+test('feed resumes from the last event id', () => {
+  publish('padId', { start: 0, end: 0, text: 'a' }, 'a');
+  publish('padId', { start: 1, end: 1, text: 'b' }, 'ab');
+  const events = [];
+  subscribe('padId', '1', event => events.push(event));
+  remove('padId');
+
+  expect(events).toEqual([
+    { id: 2, type: 'patch', data: { start: 1, end: 1, text: 'b' } },
+    { id: 2, type: 'end', data: {} },
+  ]);
+});
+
+test('new feeds start from the given text', () => {
+  const events = [];
+  const unsubscribe = subscribe('padId', undefined, event => events.push(event), 'a');
+  publish('padId', { start: 1, end: 1, text: 'b' }, 'ab');
+  unsubscribe();
+  remove('padId');
+
+  expect(events).toEqual([
+    { id: 0, type: 'text', data: { text: 'a' } },
+    { id: 1, type: 'patch', data: { start: 1, end: 1, text: 'b' } },
+  ]);
+});
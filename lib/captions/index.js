@@ -0,0 +1,130 @@
+const _ = require('lodash');
+const cues = require('./cues');
+const feed = require('./feed');
+const persistence = require('../persistence');
+const config = require('../../config');
+const { ids } = require('../utils/constants');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('captions');
+
+const { cues: settings = {} } = config;
+
+const { throttle: THROTTLE = 15000 } = settings;
+
+// Caption pads' timelines, relative to the pad creation
+const timelines = {};
+
+const store = persistence.createStore('captions');
+
+const dirty = new Set();
+
+const flush = _.throttle(() => {
+  dirty.forEach(padId => {
+    if (timelines[padId]) store.save(padId, timelines[padId]);
+  });
+
+  dirty.clear();
+}, THROTTLE, {
+  leading: false,
+  trailing: true,
+});
+
+const formats = {
+  vtt: {
+    type: 'text/vtt; charset=utf-8',
+    render: cues.toWebVTT,
+  },
+  srt: {
+    type: 'application/x-subrip; charset=utf-8',
+    render: cues.toSRT,
+  },
+};
+
+const has = (padId) => Boolean(timelines[padId]);
+
+const supports = (format) => Object.prototype.hasOwnProperty.call(formats, format);
+
+const create = (padId) => {
+  if (!has(padId)) {
+    timelines[padId] = cues.createTimeline();
+    logger.trace(ids.PAD, 'timeline created', { padId });
+  }
+};
+
+const record = (padId, text, patch) => {
+  if (!has(padId)) create(padId);
+
+  cues.record(timelines[padId], text, Date.now(), settings);
+  feed.publish(padId, patch, text);
+
+  dirty.add(padId);
+  flush();
+};
+
+const remove = (padId) => {
+  if (has(padId)) {
+    delete timelines[padId];
+    dirty.delete(padId);
+    store.remove(padId);
+    feed.remove(padId);
+    logger.trace(ids.PAD, 'timeline deleted', { padId });
+  }
+};
+
+const move = (padId, newPadId) => {
+  if (has(padId)) {
+    timelines[newPadId] = timelines[padId];
+    delete timelines[padId];
+    dirty.delete(padId);
+    store.remove(padId);
+    feed.move(padId, newPadId);
+    logger.trace(ids.PAD, 'timeline moved', { padId, newPadId });
+
+    dirty.add(newPadId);
+    flush();
+  }
+};
+
+// Takes over the persisted cues of the timelines created on restore
+const restore = () => {
+  return store.load().then(records => {
+    Object.entries(records).forEach(([padId, timeline]) => {
+      if (has(padId)) {
+        timelines[padId] = timeline;
+      } else {
+        store.remove(padId);
+      }
+    });
+
+    logger.info('loaded', { timelines: Object.keys(records).length });
+  });
+};
+
+const render = (padId, format) => {
+  if (!has(padId) || !supports(format)) return null;
+
+  return formats[format].render(cues.getCues(timelines[padId], settings));
+};
+
+const getType = (format) => formats[format].type;
+
+const subscribe = (padId, lastEventId, listener) => {
+  const text = has(padId) ? timelines[padId].text : '';
+
+  return feed.subscribe(padId, lastEventId, listener, text);
+};
+
+module.exports = {
+  formats: Object.keys(formats),
+  has,
+  supports,
+  create,
+  record,
+  remove,
+  move,
+  restore,
+  render,
+  getType,
+  subscribe,
+};
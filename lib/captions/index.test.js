@@ -0,0 +1,54 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  redis: {},
+  persistence: { backend: 'memory' },
+  cues: { throttle: 0 },
+}));
+
+const persistence = require('../persistence');
+const captions = require('./index');
+
+const store = persistence.createStore('captions');
+
+const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('recorded cues are persisted until the timeline is removed', async () => {
+  captions.create('padId');
+  captions.record('padId', 'Hello there. ', { start: 0, end: 0, text: 'Hello there. ' });
+  await wait();
+
+  const records = await store.load();
+  expect(records.padId.text).toBe('Hello there. ');
+  expect(records.padId.cues).toHaveLength(1);
+
+  captions.remove('padId');
+  await wait();
+
+  expect(await store.load()).toEqual({});
+});
+
+test('restored timelines take over their persisted cues', async () => {
+  const start = Date.now() - 60000;
+  await store.save('restored', {
+    start,
+    text: 'Hello there. ',
+    cues: [{ from: 0, to: 13, start: 1000, end: 2000 }],
+    pending: null,
+  });
+  await store.save('orphan', { start, text: '', cues: [], pending: null });
+
+  captions.create('restored');
+  await captions.restore();
+
+  expect(captions.render('restored', 'srt')).toContain('Hello there.');
+  expect(captions.has('orphan')).toBe(false);
+
+  // Streams start from the restored text, before any new patch
+  const events = [];
+  const unsubscribe = captions.subscribe('restored', undefined, event => events.push(event));
+  unsubscribe();
+  expect(events).toEqual([{ id: 0, type: 'text', data: { text: 'Hello there. ' } }]);
+  expect(Object.keys(await store.load())).toEqual(['restored']);
+
+  captions.remove('restored');
+});
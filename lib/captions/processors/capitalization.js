@@ -0,0 +1,15 @@
+// Uppercases the first letter of every sentence
+const process = (text, { previous = '' } = {}) => {
+  const starting = previous.trim().length === 0 || /[.!?]\s*$/.test(previous);
+
+  const capitalized = text.replace(/([.!?]\s+)(\p{Ll})/gu, (match, end, letter) => `${end}${letter.toUpperCase()}`);
+
+  if (!starting) return capitalized;
+
+  return capitalized.replace(/^(\s*)(\p{Ll})/u, (match, space, letter) => `${space}${letter.toUpperCase()}`);
+};
+
+module.exports = {
+  name: 'capitalization',
+  process,
+};
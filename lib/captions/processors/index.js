@@ -0,0 +1,80 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../../../config');
+const models = require('../../redis/models');
+const Logger = require('../../utils/logger');
+
+const logger = new Logger('processors');
+
+const { processors: settings = {} } = config;
+
+const { directory: DIRECTORY = null } = settings;
+
+const BUILT_INS = [
+  require('./whitespace'),
+  require('./capitalization'),
+  require('./profanity'),
+];
+
+const processors = {};
+
+const register = (processor, source) => {
+  if (!processor || typeof processor.process !== 'function') {
+    logger.error('invalid', { source });
+
+    return;
+  }
+
+  const name = processor.name || path.basename(source, '.js');
+  processors[name] = processor;
+  logger.debug('registered', { name, source });
+};
+
+BUILT_INS.forEach(processor => register(processor, 'built-in'));
+
+// Custom processors export a name and a process(text, context, options) function
+if (DIRECTORY) {
+  try {
+    fs.readdirSync(DIRECTORY).filter(file => file.endsWith('.js')).forEach(file => {
+      const source = path.resolve(DIRECTORY, file);
+      try {
+        register(require(source), source);
+      } catch (error) {
+        logger.error('loading', { source, message: error.message });
+      }
+    });
+  } catch (error) {
+    logger.error('loading', { directory: DIRECTORY, message: error.message });
+  }
+}
+
+const getChain = (model) => {
+  const { processors: names = [] } = models.get(model) || {};
+
+  return names.filter(name => {
+    if (processors[name]) return true;
+
+    logger.warn('missing', { model, name });
+
+    return false;
+  });
+};
+
+// Runs the model's processors in order, a failing one is skipped
+const run = (model, text, context = {}) => {
+  return getChain(model).reduce((result, name) => {
+    try {
+      const processed = processors[name].process(result, context, settings[name]);
+
+      return typeof processed === 'string' ? processed : result;
+    } catch (error) {
+      logger.error('processing', { model, name, message: error.message });
+
+      return result;
+    }
+  }, text);
+};
+
+module.exports = {
+  run,
+};
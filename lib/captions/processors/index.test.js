@@ -0,0 +1,22 @@
+const whitespace = require('./whitespace');
+const capitalization = require('./capitalization');
+const profanity = require('./profanity');
+
+test('whitespace normalization', () => {
+  expect(whitespace.process('  hello   world  \n')).toBe('hello world\n');
+  expect(whitespace.process('  world', { previous: 'hello' })).toBe(' world');
+  expect(whitespace.process('  world', { previous: 'hello ' })).toBe('world');
+});
+
+test('sentence capitalization', () => {
+  expect(capitalization.process('hello. how are you? fine')).toBe('Hello. How are you? Fine');
+  expect(capitalization.process(' world', { previous: 'hello' })).toBe(' world');
+  expect(capitalization.process(' été', { previous: 'hello.' })).toBe(' Été');
+});
+
+test('profanity mask', () => {
+  const options = { words: ['darn'] };
+
+  expect(profanity.process('Darn it, darned darn.', {}, options)).toBe('D*** it, darned d***.');
+  expect(profanity.process('darn', {})).toBe('darn');
+});
@@ -0,0 +1,15 @@
+const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Masks listed words, keeping their first letter
+const process = (text, context, { words = [], mask = '*' } = {}) => {
+  if (words.length === 0) return text;
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${words.map(escape).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  return text.replace(pattern, (word) => `${word[0]}${mask.repeat(word.length - 1)}`);
+};
+
+module.exports = {
+  name: 'profanity',
+  process,
+};
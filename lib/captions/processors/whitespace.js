@@ -0,0 +1,13 @@
+// Collapses runs of blanks, without doubling the one ending the previous text
+const process = (text, { previous = '' } = {}) => {
+  const collapsed = text.replace(/[ \t\u00a0]+/g, ' ').replace(/ +\n/g, '\n');
+
+  if (previous.length === 0 || /\s$/.test(previous)) return collapsed.replace(/^ +/, '');
+
+  return collapsed;
+};
+
+module.exports = {
+  name: 'whitespace',
+  process,
+};
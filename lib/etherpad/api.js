@@ -1,49 +1,84 @@
-const axios = require('axios');
-const {
-  buildId,
-  validate,
-} = require('./methods');
+const _ = require('lodash');
+const { createClient } = require('./client');
+const { validate } = require('./methods');
+const { createRing } = require('./ring');
 const config = require('../../config');
 const Logger = require('../utils/logger');
 const {
   registerAPIError,
   registerAPICall,
+  registerBackendLoad,
 } = require('../utils/prometheus');
 
 const logger = new Logger('api');
 
 const { etherpad: settings } = config;
 
-const baseURL = `${settings.scheme}://${settings.host}:${settings.port}/api`;
+const {
+  backends: BACKENDS = [],
+  health = {},
+} = settings;
+
+const { interval: INTERVAL = 30000 } = health;
+
+const DEFAULT_BACKEND = 'etherpad';
+
+// Backends inherit whatever they leave unset from the main Etherpad settings
+const buildBackends = () => {
+  const defaults = _.omit(settings, ['backends', 'health']);
+  if (BACKENDS.length === 0) return [{ ...defaults, name: DEFAULT_BACKEND }];
+
+  // Meetings are persisted along with their backend's name, so it has to outlive config changes
+  BACKENDS.forEach(({ name }, index) => {
+    if (!name) {
+      logger.fatal('unnamed backend', { index });
+
+      throw new Error('unnamed backend');
+    }
+  });
 
-const url = `${baseURL}/${settings.api.version}`;
+  const duplicated = BACKENDS.find(({ name }, index) => BACKENDS.findIndex(backend => backend.name === name) !== index);
+  if (duplicated) {
+    logger.fatal('duplicated backend', { backend: duplicated.name });
 
-const buildURL = (method, params) => {
-  let query = `apikey=${settings.api.key}`;
-  for (const [key, value] of Object.entries(params)) {
-    query += `&${key}=${encodeURIComponent(value)}`;
+    throw new Error('duplicated backend');
   }
 
-  return `${url}/${method}?${query}`;
+  return BACKENDS.map(backend => _.merge({}, defaults, backend));
 };
 
-const TOKEN = {};
+const backends = buildBackends();
 
-const lock = (id) => TOKEN[id] = true;
+const clients = backends.reduce((result, backend) => {
+  result[backend.name] = createClient(backend);
 
-const release = (id) => delete TOKEN[id];
+  return result;
+}, {});
 
-const locked = (id) => {
-  if (TOKEN[id]) {
-    logger.error('locked', { id });
+// Meetings from before backends were listed ran on the main Etherpad server
+const legacy = (backends.find(({ host, port }) => host === settings.host && port === settings.port) || backends[0]).name;
 
-    return true;
-  }
+const names = Object.keys(clients);
+
+const ring = createRing(Object.values(clients));
+
+// Backend by meeting
+const assignments = {};
+
+let interval = null;
 
-  return false;
+const errors = {
+  UNSUPPORTED: 'unsupported',
 };
 
-const call = (method, params = {}) => {
+// Calls outside of any known meeting go to the main Etherpad server
+const getClient = (name) => clients[name] || clients[legacy];
+
+const getDefaultBackend = () => legacy;
+
+const getBackend = (meetingId) => assignments[meetingId] || null;
+
+const send = (client, method, params, run) => {
   return new Promise((resolve, reject) => {
     registerAPICall(method);
 
@@ -53,55 +88,174 @@ const call = (method, params = {}) => {
       return reject();
     }
 
-    const id = buildId(method, params);
-    if (locked(id)) return reject();
-    lock(id);
+    if (!client.supports(method)) {
+      logger.warn('unsupported', { backend: client.name, method, version: client.getVersion() });
+      registerAPIError(method);
 
-    axios({
-      method: 'get',
-      url: buildURL(method, params),
-      responseType: 'json',
-    }).then((response) => {
-      const { status } = response;
-      if (status !== 200) {
-        logger.error('call', { status });
-        registerAPIError(method);
+      return reject(errors.UNSUPPORTED);
+    }
 
-        return reject();
-      }
+    run(method, params).then(data => resolve(data)).catch(() => {
+      registerAPIError(method);
+      reject();
+    });
+  });
+};
 
-      const {
-        code,
-        message,
-        data,
-      } = response.data;
+const callBackend = (name, method, params = {}) => {
+  const client = getClient(name);
 
-      if (code !== 0) {
-        logger.error('call', { message });
-        registerAPIError(method);
+  return send(client, method, params, client.call);
+};
 
-        return reject();
-      }
+// Meetings' calls go to the backend they were assigned
+const call = (method, params = {}, meetingId = null) => callBackend(getBackend(meetingId), method, params);
 
-      logger.debug('call', { method, data });
+const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
-      resolve(data);
-    }).catch(() => {
-      registerAPIError(method);
-      reject();
-    }).finally(() => release(id));
+// Appended text continues the pad's last line, as with appendText
+const appendHTML = (html, text) => {
+  const content = escape(text).replace(/\n/g, '<br>');
+
+  return html.replace(/(<br>)?<\/body>/, `${content}<br></body>`);
+};
+
+// Older Etherpads lack appendText: the pad is read and written back in a single
+// job of its mutation queue, so concurrent appends cannot overwrite each other.
+// HTML keeps the pad's formatting, authorship is lost either way
+const append = (padId, text, meetingId = null) => {
+  const client = getClient(getBackend(meetingId));
+  if (client.supports('appendText')) return callBackend(client.name, 'appendText', { padID: padId, text });
+
+  return client.update(padId, call => {
+    const request = (method, params) => send(client, method, params, call);
+
+    return request('getHTML', { padID: padId }).then(({ html }) => {
+      return request('setHTML', { padID: padId, html: appendHTML(html, text) });
+    });
   });
 };
 
+const countMeetings = (name) => Object.values(assignments).filter(backend => backend === name).length;
+
+const report = (name) => {
+  registerBackendLoad(name, clients[name].isHealthy(), countMeetings(name));
+};
+
+// Meetings keep a known backend, new ones are hashed to a healthy one
+const assign = (meetingId, backend = null) => {
+  let name = backend;
+  if (!clients[name]) {
+    if (name) logger.warn('unknown backend', { meetingId, backend: name });
+
+    name = ring.locate(meetingId, candidate => clients[candidate].isHealthy());
+    if (!name) {
+      name = ring.locate(meetingId) || names[0];
+      logger.warn('no healthy backend', { meetingId, backend: name });
+    }
+  }
+
+  assignments[meetingId] = name;
+  logger.debug('assigned', { meetingId, backend: name });
+  report(name);
+
+  return name;
+};
+
+// Restored meetings stay on their backend, those from before backends were tracked or listed
+// on the one that took over the main Etherpad server
+const reassign = (meetingId, backend = null) => {
+  const name = !backend || (backend === DEFAULT_BACKEND && !clients[backend]) ? legacy : backend;
+
+  return assign(meetingId, name);
+};
+
+const release = (meetingId) => {
+  const name = assignments[meetingId];
+  if (!name) return;
+
+  delete assignments[meetingId];
+  report(name);
+};
+
+// Resolves as long as one backend is up
 const check = () => {
-  return axios({
-    method: 'get',
-    url: baseURL,
-    responseType: 'json'
+  const promises = names.map(name => clients[name].check().then(() => true).catch((error) => {
+    logger.warn('checking', { backend: name, message: error.message });
+
+    return false;
+  }));
+
+  return Promise.all(promises).then(results => {
+    names.forEach(name => report(name));
+    if (!results.includes(true)) throw new Error('no backend available');
+
+    return results;
   });
 };
 
+const getHealthyBackends = () => names.filter(name => clients[name].isHealthy());
+
+// Backends down at startup get their key checked once back
+const checkTokens = () => Promise.all(getHealthyBackends().map(name => callBackend(name, 'checkToken')));
+
+// Meetings' backend or, otherwise, any
+const supports = (method, meetingId = null) => {
+  if (meetingId) return getClient(getBackend(meetingId)).supports(method);
+
+  return names.some(name => clients[name].supports(method));
+};
+
+const getVersion = (meetingId = null) => getClient(getBackend(meetingId)).getVersion();
+
+const getTarget = (meetingId) => getClient(getBackend(meetingId)).target;
+
+const getLoad = () => {
+  return names.map(name => {
+    const client = clients[name];
+
+    return {
+      backend: name,
+      weight: client.weight,
+      state: client.getState(),
+      healthy: client.isHealthy(),
+      version: client.getVersion(),
+      meetings: countMeetings(name),
+      ...client.getStats(),
+    };
+  });
+};
+
+const start = () => {
+  stop();
+  interval = setInterval(() => check().catch(() => logger.error('no backend available')), INTERVAL);
+  logger.info('started', { backends: names, interval: `${INTERVAL / 1000} seconds` });
+};
+
+const stop = () => {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+  }
+};
+
 module.exports = {
+  errors,
+  assign,
+  reassign,
+  release,
+  append,
   call,
+  callBackend,
   check,
+  checkTokens,
+  getBackend,
+  getDefaultBackend,
+  getHealthyBackends,
+  getLoad,
+  getTarget,
+  getVersion,
+  supports,
+  start,
+  stop,
 };
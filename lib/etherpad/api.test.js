@@ -0,0 +1,85 @@
+jest.mock('axios', () => jest.fn());
+
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  etherpad: {
+    scheme: 'http',
+    host: '127.0.0.1',
+    port: 9001,
+    // Older than appendText
+    api: { key: 'key', version: '1.2.12' },
+  },
+}));
+
+const axios = require('axios');
+const api = require('./api');
+
+const wait = (delay) => new Promise(resolve => setTimeout(resolve, delay));
+
+// Etherpad with a single pad, slow to reply
+const pad = { html: '<!DOCTYPE HTML><html><body><strong>first</strong><br></body></html>' };
+
+axios.mockImplementation(({ url, data }) => {
+  const method = url.split('/').pop();
+  const params = Object.fromEntries(new URLSearchParams(data));
+
+  const reply = (payload) => wait(10).then(() => ({
+    status: 200,
+    data: { code: 0, message: 'ok', data: payload },
+  }));
+
+  switch (method) {
+    case 'getHTML':
+      return reply({ html: pad.html });
+    case 'setHTML':
+      pad.html = params.html;
+
+      return reply(null);
+    default:
+      return Promise.reject(new Error(method));
+  }
+});
+
+test('concurrent appends without appendText', async () => {
+  await Promise.all([
+    api.append('g.1$notes', ' second'),
+    api.append('g.1$notes', '\n<third>'),
+  ]);
+
+  expect(pad.html).toBe('<!DOCTYPE HTML><html><body><strong>first</strong> second<br>&lt;third&gt;<br></body></html>');
+  expect(axios.mock.calls.map(([{ url }]) => url.split('/').pop())).toEqual([
+    'getHTML',
+    'setHTML',
+    'getHTML',
+    'setHTML',
+  ]);
+});
+
+const load = (backends) => {
+  jest.resetModules();
+  jest.doMock('../../config', () => ({
+    log: { level: 'info' },
+    etherpad: {
+      scheme: 'http',
+      host: '127.0.0.1',
+      port: 9001,
+      api: { key: 'key' },
+      backends,
+    },
+  }));
+
+  return require('./api');
+};
+
+test('configured backends need a unique name', () => {
+  expect(() => load([{ name: 'a' }, { host: '10.0.0.1' }])).toThrow('unnamed backend');
+  expect(() => load([{ name: 'a' }, { name: 'a', host: '10.0.0.1' }])).toThrow('duplicated backend');
+});
+
+test('legacy meetings are restored on the main Etherpad server', () => {
+  const isolated = load([{ name: 'a', host: '10.0.0.1' }, { name: 'b' }]);
+
+  expect(isolated.reassign('legacy', 'etherpad')).toBe('b');
+  expect(isolated.reassign('untracked')).toBe('b');
+  expect(isolated.reassign('tracked', 'a')).toBe('a');
+});
@@ -0,0 +1,17 @@
+// Legacy API key, sent along with every call's parameters
+const create = ({ api }) => {
+  const credentials = {
+    params: { apikey: api.key },
+    headers: {},
+  };
+
+  return {
+    authenticate: () => Promise.resolve(credentials),
+    // Nothing to renew, a rejected key stays rejected
+    invalidate: () => false,
+  };
+};
+
+module.exports = {
+  create,
+};
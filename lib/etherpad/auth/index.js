@@ -0,0 +1,17 @@
+const STRATEGIES = {
+  apikey: './apikey',
+  'oauth2-client-credentials': './oauth2',
+};
+
+// Strategies export create(settings) returning authenticate() and invalidate();
+// built-in ones are referenced by name, custom ones by module path
+const createAuth = (settings) => {
+  const { auth = {} } = settings.api;
+  const { strategy = 'apikey' } = auth;
+
+  return require(STRATEGIES[strategy] || strategy).create(settings);
+};
+
+module.exports = {
+  createAuth,
+};
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const Logger = require('../../utils/logger');
+
+const logger = new Logger('oauth2');
+
+// OAuth2 client credentials grant against Etherpad's OIDC provider
+const create = ({
+  scheme,
+  host,
+  port,
+  api,
+}) => {
+  const { oauth2: settings = {} } = api.auth;
+
+  const {
+    url: URL = null,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    scope: SCOPE = null,
+    // Tokens are renewed this long before they expire
+    margin: MARGIN = 60000,
+    timeout: TIMEOUT = 10000,
+  } = settings;
+
+  const url = URL || `${scheme}://${host}:${port}/oidc/token`;
+
+  let token = null;
+  let expiration = 0;
+  let pending = null;
+
+  const fetch = () => {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+    });
+    if (SCOPE) body.append('scope', SCOPE);
+
+    return axios({
+      method: 'post',
+      url,
+      data: body.toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: TIMEOUT,
+      responseType: 'json',
+    }).then(response => {
+      const {
+        access_token: accessToken,
+        expires_in: expiresIn = 3600,
+      } = response.data || {};
+
+      if (!accessToken) throw new Error('missing access token');
+
+      token = accessToken;
+      expiration = Date.now() + expiresIn * 1000;
+      logger.info('token', { expiration: new Date(expiration).toISOString() });
+
+      return token;
+    }).catch(error => {
+      logger.error('token', { url, message: error.message });
+
+      throw error;
+    });
+  };
+
+  // Concurrent calls share a single refresh
+  const refresh = () => {
+    if (!pending) {
+      pending = fetch();
+      const done = () => pending = null;
+      pending.then(done, done);
+    }
+
+    return pending;
+  };
+
+  const authenticate = () => {
+    const valid = token && Date.now() < expiration - MARGIN;
+    const promise = valid ? Promise.resolve(token) : refresh();
+
+    return promise.then(value => {
+      return {
+        params: {},
+        headers: { Authorization: `Bearer ${value}` },
+      };
+    });
+  };
+
+  // Revoked tokens are dropped so the next call fetches a new one
+  const invalidate = () => {
+    const invalidated = token !== null;
+    token = null;
+
+    return invalidated;
+  };
+
+  return {
+    authenticate,
+    invalidate,
+  };
+};
+
+module.exports = {
+  create,
+};
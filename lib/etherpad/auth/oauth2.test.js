@@ -0,0 +1,51 @@
+jest.mock('axios', () => jest.fn());
+
+const axios = require('axios');
+const { create } = require('./oauth2');
+
+const settings = {
+  scheme: 'http',
+  host: '127.0.0.1',
+  port: 9001,
+  api: {
+    auth: {
+      oauth2: {
+        clientId: 'client',
+        clientSecret: 'secret',
+        margin: 1000,
+      },
+    },
+  },
+};
+
+const grant = (token, expiresIn) => Promise.resolve({
+  data: {
+    access_token: token,
+    expires_in: expiresIn,
+  },
+});
+
+beforeEach(() => axios.mockReset());
+
+test('tokens are cached until close to expiry', async () => {
+  const auth = create(settings);
+  axios.mockReturnValueOnce(grant('a', 3600)).mockReturnValueOnce(grant('b', 3600));
+
+  const [first, second] = await Promise.all([auth.authenticate(), auth.authenticate()]);
+  expect(first.headers).toEqual({ Authorization: 'Bearer a' });
+  expect(second.headers).toEqual({ Authorization: 'Bearer a' });
+  expect(axios).toHaveBeenCalledTimes(1);
+  expect(axios.mock.calls[0][0].url).toBe('http://127.0.0.1:9001/oidc/token');
+
+  expect(auth.invalidate()).toBe(true);
+  expect((await auth.authenticate()).headers).toEqual({ Authorization: 'Bearer b' });
+  expect(axios).toHaveBeenCalledTimes(2);
+});
+
+test('tokens are renewed before they expire', async () => {
+  const auth = create(settings);
+  axios.mockReturnValueOnce(grant('a', 1)).mockReturnValueOnce(grant('b', 3600));
+
+  await auth.authenticate();
+  expect((await auth.authenticate()).headers).toEqual({ Authorization: 'Bearer b' });
+});
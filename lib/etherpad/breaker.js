@@ -0,0 +1,80 @@
+const Logger = require('../utils/logger');
+
+const logger = new Logger('breaker');
+
+const states = {
+  CLOSED: 'closed',
+  // A single trial call decides whether to close or reopen
+  HALF_OPEN: 'half-open',
+  OPEN: 'open',
+};
+
+// Fails calls fast after consecutive failures, until a cooldown has passed
+const createBreaker = (name, {
+  threshold = 5,
+  cooldown = 30000,
+} = {}, onChange = () => {}) => {
+  let state = states.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trial = false;
+
+  const transition = (next) => {
+    if (state === next) return;
+
+    const context = { name, from: state, to: next, failures };
+    if (next === states.OPEN) {
+      logger.warn('circuit', context);
+    } else {
+      logger.info('circuit', context);
+    }
+
+    state = next;
+    onChange(state);
+  };
+
+  const allow = () => {
+    if (state === states.OPEN && Date.now() - openedAt >= cooldown) {
+      trial = false;
+      transition(states.HALF_OPEN);
+    }
+
+    if (state === states.CLOSED) return true;
+
+    if (state === states.HALF_OPEN && !trial) {
+      trial = true;
+
+      return true;
+    }
+
+    return false;
+  };
+
+  const success = () => {
+    failures = 0;
+    trial = false;
+    transition(states.CLOSED);
+  };
+
+  const failure = () => {
+    failures++;
+    trial = false;
+
+    if (state === states.HALF_OPEN || failures >= threshold) {
+      openedAt = Date.now();
+      transition(states.OPEN);
+    }
+  };
+
+  return {
+    allow,
+    success,
+    failure,
+    getState: () => state,
+  };
+};
+
+module.exports = {
+  states,
+  createBreaker,
+};
@@ -0,0 +1,41 @@
+const {
+  states,
+  createBreaker,
+} = require('./breaker');
+
+test('circuit opens after consecutive failures', () => {
+  const changes = [];
+  const breaker = createBreaker('test', { threshold: 2, cooldown: 1000 }, state => changes.push(state));
+
+  breaker.failure();
+  expect(breaker.allow()).toBe(true);
+  breaker.success();
+  breaker.failure();
+  expect(breaker.getState()).toBe(states.CLOSED);
+
+  breaker.failure();
+  expect(breaker.getState()).toBe(states.OPEN);
+  expect(breaker.allow()).toBe(false);
+  expect(changes).toEqual([states.OPEN]);
+});
+
+test('half-open circuit allows a single trial', () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+  const breaker = createBreaker('test', { threshold: 1, cooldown: 1000 });
+
+  breaker.failure();
+  now.mockReturnValue(1000);
+  expect(breaker.allow()).toBe(true);
+  expect(breaker.getState()).toBe(states.HALF_OPEN);
+  expect(breaker.allow()).toBe(false);
+
+  breaker.failure();
+  expect(breaker.getState()).toBe(states.OPEN);
+
+  now.mockReturnValue(2000);
+  expect(breaker.allow()).toBe(true);
+  breaker.success();
+  expect(breaker.getState()).toBe(states.CLOSED);
+
+  now.mockRestore();
+});
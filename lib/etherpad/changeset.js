@@ -0,0 +1,199 @@
+// Etherpad's changeset serialization: Z:<old length><sign><delta><ops>$<char bank>
+
+const HEADER = /^Z:([0-9a-z]+)([><])([0-9a-z]+)/;
+
+const OP = /((?:\*[0-9a-z]+)*)(?:\|([0-9a-z]+))?([-+=])([0-9a-z]+)|\?/g;
+
+const parseNumber = (value) => parseInt(value, 36);
+
+const parseOps = (serialized) => {
+  const ops = [];
+  OP.lastIndex = 0;
+  let op;
+  while ((op = OP.exec(serialized)) !== null) {
+    // Trailing "?" marks the end of the ops
+    if (op[0] === '?') break;
+
+    const [, attribs, lines, opcode, chars] = op;
+    ops.push({
+      opcode,
+      chars: parseNumber(chars),
+      lines: lines ? parseNumber(lines) : 0,
+      attribs,
+    });
+  }
+
+  return ops;
+};
+
+const unpack = (changeset) => {
+  const header = HEADER.exec(changeset);
+  if (!header) return null;
+
+  const [match, oldLength, sign, delta] = header;
+  const oldLen = parseNumber(oldLength);
+  const change = parseNumber(delta) * (sign === '>' ? 1 : -1);
+
+  // Ops never contain "$", the char bank may
+  const bank = changeset.indexOf('$', match.length);
+  const serialized = changeset.slice(match.length, bank !== -1 ? bank : changeset.length);
+  const charBank = bank !== -1 ? changeset.slice(bank + 1) : '';
+
+  return {
+    oldLen,
+    newLen: oldLen + change,
+    ops: parseOps(serialized),
+    charBank,
+  };
+};
+
+// Characters inserted and deleted by a changeset
+const count = (changeset) => {
+  const unpacked = unpack(changeset);
+  if (!unpacked) return null;
+
+  return unpacked.ops.reduce((result, { opcode, chars }) => {
+    if (opcode === '+') result.added += chars;
+    if (opcode === '-') result.removed += chars;
+
+    return result;
+  }, { added: 0, removed: 0 });
+};
+
+const getAttribute = (pool, number) => {
+  const attributes = pool && (pool.numToAttrib || pool);
+  if (!attributes) return null;
+
+  return attributes[number] || null;
+};
+
+// Attribute numbers into [key, value] pairs, null when missing from the pool
+const resolve = (attribs, pool) => {
+  const numbers = attribs.split('*').slice(1).map(parseNumber);
+  const pairs = [];
+  for (const number of numbers) {
+    const attribute = getAttribute(pool, number);
+    if (!attribute) return null;
+
+    pairs.push(attribute);
+  }
+
+  return pairs;
+};
+
+// Applying to a document drops attributes set to an empty value
+const compose = (attributes, changes) => {
+  const result = new Map(attributes);
+  changes.forEach(([key, value]) => {
+    if (value === '') {
+      result.delete(key);
+    } else {
+      result.set(key, value);
+    }
+  });
+
+  return [...result];
+};
+
+const clean = (attributes) => attributes.filter(([, value]) => value !== '');
+
+// A pad's atext as text plus runs of attributed characters
+const deserialize = (atext, pool) => {
+  const attribution = [];
+  for (const { chars, attribs } of parseOps(atext.attribs)) {
+    const attributes = resolve(attribs, pool);
+    if (!attributes) return null;
+
+    attribution.push({ chars, attributes: clean(attributes) });
+  }
+
+  const length = attribution.reduce((result, { chars }) => result + chars, 0);
+  if (length !== atext.text.length) return null;
+
+  return {
+    text: atext.text,
+    attribution,
+  };
+};
+
+// Consumes runs from the old attribution, splitting the last one if needed
+const createCursor = (attribution) => {
+  const runs = attribution.map(run => ({ ...run }));
+  let index = 0;
+
+  return (chars) => {
+    const taken = [];
+    let remaining = chars;
+    while (remaining > 0 && index < runs.length) {
+      const run = runs[index];
+      const length = Math.min(run.chars, remaining);
+      taken.push({ chars: length, attributes: run.attributes });
+
+      run.chars -= length;
+      remaining -= length;
+      if (run.chars === 0) index++;
+    }
+
+    return remaining === 0 ? taken : null;
+  };
+};
+
+// Null on any inconsistency, callers are expected to resync
+const apply = (changeset, document, pool) => {
+  const unpacked = unpack(changeset);
+  if (!unpacked || unpacked.oldLen !== document.text.length) return null;
+
+  const { ops, charBank } = unpacked;
+  const take = createCursor(document.attribution);
+  const attribution = [];
+  let text = '';
+  let position = 0;
+  let bank = 0;
+
+  for (const { opcode, chars, attribs } of ops) {
+    const changes = resolve(attribs, pool);
+    if (!changes) return null;
+
+    if (opcode === '+') {
+      text += charBank.slice(bank, bank + chars);
+      bank += chars;
+      attribution.push({ chars, attributes: clean(changes) });
+    } else {
+      const taken = take(chars);
+      if (!taken) return null;
+
+      if (opcode === '=') {
+        text += document.text.slice(position, position + chars);
+        taken.forEach(run => {
+          attribution.push({ chars: run.chars, attributes: compose(run.attributes, changes) });
+        });
+      }
+
+      position += chars;
+    }
+  }
+
+  // Unmentioned characters are kept as they are
+  const rest = document.text.length - position;
+  if (rest > 0) {
+    const taken = take(rest);
+    if (!taken) return null;
+
+    text += document.text.slice(position);
+    attribution.push(...taken);
+  }
+
+  if (text.length !== unpacked.newLen || bank !== charBank.length) return null;
+
+  return {
+    text,
+    attribution,
+  };
+};
+
+module.exports = {
+  unpack,
+  count,
+  deserialize,
+  apply,
+};
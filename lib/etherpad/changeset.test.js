@@ -0,0 +1,69 @@
+const {
+  unpack,
+  count,
+  deserialize,
+  apply,
+} = require('./changeset');
+
+test('changeset unpacking', () => {
+  expect(unpack('Z:5>6|1=4*0+6$hello$')).toEqual({
+    oldLen: 5,
+    newLen: 11,
+    ops: [
+      { opcode: '=', chars: 4, lines: 1, attribs: '' },
+      { opcode: '+', chars: 6, lines: 0, attribs: '*0' },
+    ],
+    charBank: 'hello$',
+  });
+
+  expect(unpack('invalid')).toBe(null);
+});
+
+test('changeset counting', () => {
+  expect(count('Z:a<3=2-3$')).toEqual({ added: 0, removed: 3 });
+  expect(count('Z:z>2=5-a*0*1+c$replacement!')).toEqual({ added: 12, removed: 10 });
+});
+
+test('changeset application', () => {
+  const pool = {
+    numToAttrib: {
+      0: ['author', 'a.1'],
+      1: ['bold', 'true'],
+      2: ['bold', ''],
+    },
+  };
+
+  const document = deserialize({ text: 'hello\n', attribs: '*0+5|1+1' }, pool);
+  expect(document).toEqual({
+    text: 'hello\n',
+    attribution: [
+      { chars: 5, attributes: [['author', 'a.1']] },
+      { chars: 1, attributes: [] },
+    ],
+  });
+
+  const bolded = apply('Z:6>6=2*1=3*0*1+6$ world', document, pool);
+  expect(bolded).toEqual({
+    text: 'hello world\n',
+    attribution: [
+      { chars: 2, attributes: [['author', 'a.1']] },
+      { chars: 3, attributes: [['author', 'a.1'], ['bold', 'true']] },
+      { chars: 6, attributes: [['author', 'a.1'], ['bold', 'true']] },
+      { chars: 1, attributes: [] },
+    ],
+  });
+
+  expect(apply('Z:c<6=2*2=3-6$', bolded, pool).attribution).toEqual([
+    { chars: 2, attributes: [['author', 'a.1']] },
+    { chars: 3, attributes: [['author', 'a.1']] },
+    { chars: 1, attributes: [] },
+  ]);
+});
+
+test('inconsistent changesets', () => {
+  const document = deserialize({ text: 'hi\n', attribs: '|1+3' }, {});
+
+  expect(apply('Z:5>1=4+1$!', document, {})).toBe(null);
+  expect(apply('Z:3>1*9+1$!', document, {})).toBe(null);
+  expect(deserialize({ text: 'hi\n', attribs: '*0|1+3' }, {})).toBe(null);
+});
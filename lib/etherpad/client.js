@@ -0,0 +1,236 @@
+const axios = require('axios');
+const { createAuth } = require('./auth');
+const {
+  states,
+  createBreaker,
+} = require('./breaker');
+const {
+  isAvailable,
+  isIdempotent,
+  negotiate,
+} = require('./methods');
+const { createQueue } = require('./queue');
+const Logger = require('../utils/logger');
+const {
+  registerAPIRetry,
+  registerAPIRejection,
+  registerCircuitState,
+} = require('../utils/prometheus');
+
+const logger = new Logger('api');
+
+// Used when Etherpad does not tell its current version
+const DEFAULT_VERSION = '1.2.14';
+
+// Only unreachable or failing servers are worth retrying, not API errors
+const TRANSIENT = 'transient';
+
+// Rejected credentials, worth a single retry once renewed
+const UNAUTHORIZED = 'unauthorized';
+
+// Parameters go in the body so long texts do not hit URL length limits
+const buildBody = (params) => {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    body.append(key, value);
+  }
+
+  return body.toString();
+};
+
+const wait = (delay) => new Promise(resolve => setTimeout(resolve, delay));
+
+// One Etherpad server, with its own credentials, circuit and queue
+const createClient = (settings) => {
+  const {
+    name,
+    scheme,
+    host,
+    port,
+    weight = 1,
+    api: apiSettings,
+  } = settings;
+
+  const {
+    timeout: timeouts = {},
+    retry = {},
+    breaker: circuit = {},
+    concurrency,
+  } = apiSettings;
+
+  const {
+    default: TIMEOUT = 10000,
+    methods: METHOD_TIMEOUTS = {},
+  } = timeouts;
+
+  const {
+    attempts: ATTEMPTS = 3,
+    delay: DELAY = 250,
+    maximum: MAXIMUM = 4000,
+  } = retry;
+
+  // Configured versions cap the negotiated one
+  const { version: VERSION = null } = apiSettings;
+
+  const baseURL = `${scheme}://${host}:${port}/api`;
+
+  let version = VERSION || DEFAULT_VERSION;
+
+  let checked = false;
+
+  const getTimeout = (method) => METHOD_TIMEOUTS[method] || TIMEOUT;
+
+  const breaker = createBreaker(name, circuit, (state) => registerCircuitState(name, state));
+
+  const auth = createAuth(settings);
+
+  const queue = createQueue({ name, concurrency });
+
+  // Exponential backoff with full jitter
+  const buildDelay = (attempt) => Math.random() * Math.min(MAXIMUM, DELAY * 2 ** (attempt - 1));
+
+  const send = (method, params, credentials) => {
+    return new Promise((resolve, reject) => {
+      axios({
+        method: 'post',
+        url: `${baseURL}/${version}/${method}`,
+        data: buildBody({ ...credentials.params, ...params }),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...credentials.headers,
+        },
+        timeout: getTimeout(method),
+        responseType: 'json',
+        // Client errors still prove Etherpad is up
+        validateStatus: (status) => status < 500,
+      }).then((response) => {
+        breaker.success();
+
+        const { status } = response;
+        if (status === 401 && auth.invalidate()) {
+          logger.warn('unauthorized', { backend: name, method });
+
+          return reject(UNAUTHORIZED);
+        }
+
+        if (status !== 200) {
+          logger.error('call', { backend: name, method, status });
+
+          return reject();
+        }
+
+        const {
+          code,
+          message,
+          data,
+        } = response.data;
+
+        if (code !== 0) {
+          logger.error('call', { backend: name, method, message });
+
+          return reject();
+        }
+
+        logger.debug('call', { backend: name, method, data });
+
+        resolve(data);
+      }).catch((error = {}) => {
+        logger.error('call', { backend: name, method, code: error.code, message: error.message });
+        breaker.failure();
+
+        reject(TRANSIENT);
+      });
+    });
+  };
+
+  // Identity provider failures say nothing about Etherpad: they are kept out of its circuit,
+  // which is only asked for a call once credentials are at hand
+  const request = (method, params) => {
+    return auth.authenticate().catch((error = {}) => {
+      logger.error('authenticating', { backend: name, method, message: error.message });
+
+      return Promise.reject(TRANSIENT);
+    }).then(credentials => {
+      if (!breaker.allow()) {
+        logger.warn('circuit open', { backend: name, method });
+        registerAPIRejection(method);
+
+        return Promise.reject();
+      }
+
+      return send(method, params, credentials);
+    });
+  };
+
+  const execute = (method, params, attempt = 1, renewed = false) => {
+    return request(method, params).catch((reason) => {
+      if (reason === UNAUTHORIZED && !renewed) return execute(method, params, attempt, true);
+
+      if (reason !== TRANSIENT || !isIdempotent(method) || attempt >= ATTEMPTS) return Promise.reject();
+
+      const delay = buildDelay(attempt);
+      logger.warn('retrying', { backend: name, method, attempt, delay: Math.round(delay) });
+      registerAPIRetry(method);
+
+      return wait(delay).then(() => execute(method, params, attempt + 1));
+    });
+  };
+
+  const call = (method, params) => queue.schedule(method, params, () => execute(method, params));
+
+  // Read-modify-write jobs run as a single mutation of the pad
+  const update = (padId, job) => queue.exclusive(padId, limit => {
+    return job((method, params) => limit(method, () => execute(method, params)));
+  });
+
+  // Probes go through the circuit too, so idle backends get to close it again
+  const check = () => {
+    if (!breaker.allow()) return Promise.reject(new Error('circuit open'));
+
+    return axios({
+      method: 'get',
+      url: baseURL,
+      timeout: TIMEOUT,
+      responseType: 'json'
+    }).then(response => {
+      breaker.success();
+
+      const { currentVersion = null } = response.data || {};
+      const negotiated = currentVersion ? negotiate(currentVersion, VERSION) : null;
+      const previous = version;
+      version = negotiated || VERSION || DEFAULT_VERSION;
+      if (!checked || version !== previous) {
+        logger.info('version', { backend: name, current: currentVersion, negotiated: version });
+        checked = true;
+      }
+
+      return response;
+    }).catch(error => {
+      breaker.failure();
+
+      throw error;
+    });
+  };
+
+  return {
+    name,
+    weight,
+    target: {
+      protocol: scheme,
+      host,
+      port,
+    },
+    call,
+    update,
+    check,
+    supports: (method) => isAvailable(method, version),
+    getVersion: () => version,
+    isHealthy: () => breaker.getState() === states.CLOSED,
+    getState: () => breaker.getState(),
+    getStats: () => queue.getStats(),
+  };
+};
+
+module.exports = {
+  createClient,
+};
@@ -0,0 +1,55 @@
+jest.mock('axios', () => jest.fn());
+
+jest.mock('../../config', () => ({ log: { level: 'info' } }));
+
+jest.mock('./auth', () => {
+  const auth = {
+    authenticate: jest.fn(),
+    invalidate: jest.fn(() => false),
+  };
+
+  return { createAuth: () => auth };
+});
+
+const axios = require('axios');
+const { createAuth } = require('./auth');
+const { createClient } = require('./client');
+
+const auth = createAuth();
+
+const client = createClient({
+  name: 'etherpad',
+  scheme: 'http',
+  host: '127.0.0.1',
+  port: 9001,
+  api: {
+    version: '1.2.15',
+    retry: { attempts: 1 },
+    breaker: { threshold: 2, cooldown: 60000 },
+  },
+});
+
+test('identity provider failures do not open the circuit', async () => {
+  auth.authenticate.mockImplementation(() => Promise.reject(new Error('unreachable')));
+
+  await expect(client.call('getText', { padID: 'g.1$notes' })).rejects.toBeUndefined();
+  await expect(client.call('getText', { padID: 'g.1$notes' })).rejects.toBeUndefined();
+  await expect(client.call('getText', { padID: 'g.1$notes' })).rejects.toBeUndefined();
+
+  expect(axios).not.toHaveBeenCalled();
+  expect(client.isHealthy()).toBe(true);
+
+  auth.authenticate.mockImplementation(() => Promise.resolve({ params: { apikey: 'key' }, headers: {} }));
+  axios.mockImplementation(() => Promise.resolve({ status: 200, data: { code: 0, message: 'ok', data: { text: 'a' } } }));
+
+  await expect(client.call('getText', { padID: 'g.1$notes' })).resolves.toEqual({ text: 'a' });
+});
+
+test('Etherpad failures do', async () => {
+  axios.mockImplementation(() => Promise.reject(new Error('unreachable')));
+
+  await expect(client.call('getText', { padID: 'g.1$notes' })).rejects.toBeUndefined();
+  await expect(client.call('getText', { padID: 'g.1$notes' })).rejects.toBeUndefined();
+
+  expect(client.isHealthy()).toBe(false);
+});
@@ -0,0 +1,141 @@
+// Renders a pad document the way Etherpad's HTML export lays it out
+
+const TAGS = [
+  ['bold', 'strong'],
+  ['italic', 'em'],
+  ['underline', 'u'],
+  ['strikethrough', 's'],
+];
+
+const LIST = /^(bullet|number|indent)(\d+)$/;
+
+// Lists, headings and such are attributes of a "*" marker opening the line
+const LINE_MARKER = 'lmkr';
+
+const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const buildLine = () => {
+  return {
+    segments: [],
+    list: null,
+    start: null,
+  };
+};
+
+const getValue = (attributes, key) => {
+  const attribute = attributes.find(([name]) => name === key);
+
+  return attribute ? attribute[1] : null;
+};
+
+const getLines = ({ text, attribution }) => {
+  const lines = [];
+  let line = buildLine();
+  let position = 0;
+
+  attribution.forEach(({ chars, attributes }) => {
+    const content = text.slice(position, position + chars);
+    position += chars;
+
+    content.split(/(\n)/).forEach(part => {
+      if (part === '\n') {
+        lines.push(line);
+        line = buildLine();
+
+        return;
+      }
+
+      let segment = part;
+      if (line.segments.length === 0 && getValue(attributes, LINE_MARKER) !== null) {
+        line.list = getValue(attributes, 'list');
+        line.start = getValue(attributes, 'start');
+        segment = part.slice(1);
+      }
+
+      if (segment.length !== 0) line.segments.push({ text: segment, attributes });
+    });
+  });
+
+  return lines;
+};
+
+const renderSegments = (segments) => {
+  // Authorship differs between segments rendered alike
+  const merged = segments.reduce((result, { text, attributes }) => {
+    const tags = TAGS.filter(([key]) => getValue(attributes, key) === 'true').map(([, tag]) => tag);
+    const last = result[result.length - 1];
+    if (last && last.tags.join() === tags.join()) {
+      last.text += text;
+    } else {
+      result.push({ text, tags });
+    }
+
+    return result;
+  }, []);
+
+  return merged.map(({ text, tags }) => {
+    const open = tags.map(tag => `<${tag}>`).join('');
+    const close = [...tags].reverse().map(tag => `</${tag}>`).join('');
+
+    return `${open}${escape(text)}${close}`;
+  }).join('');
+};
+
+const TAG = {
+  bullet: 'ul',
+  indent: 'ul',
+  number: 'ol',
+};
+
+const openList = (type, start) => {
+  if (type === 'number' && start) return `<ol start="${Number(start)}" class="number">`;
+
+  return `<${TAG[type]} class="${type}">`;
+};
+
+// Nested lists open inside their parent's item, levels skipped get bare lists
+const render = (document) => {
+  const stack = [];
+  let body = '';
+
+  const close = (level) => {
+    while (stack.length > level) {
+      const { type, item } = stack.pop();
+      body += `${item ? '</li>' : ''}</${TAG[type]}>`;
+    }
+  };
+
+  getLines(document).forEach(line => {
+    const content = renderSegments(line.segments);
+    const list = line.list ? LIST.exec(line.list) : null;
+
+    if (list) {
+      const type = list[1];
+      const level = Number(list[2]);
+      close(level);
+      if (stack.length === level && stack[level - 1].type !== type) close(level - 1);
+
+      if (stack.length === level && stack[level - 1].item) body += '</li>';
+
+      while (stack.length < level) {
+        const last = stack.length === level - 1;
+        body += last ? openList(type, line.start) : `<${TAG[type]}>`;
+        stack.push({ type, item: false });
+      }
+
+      stack[level - 1].item = true;
+      body += `<li>${content}`;
+    } else {
+      close(0);
+      body += `${content}<br>`;
+    }
+  });
+
+  close(0);
+
+  return `<!DOCTYPE HTML><html><body>${body}</body></html>`;
+};
+
+module.exports = {
+  render,
+};
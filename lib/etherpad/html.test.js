@@ -0,0 +1,79 @@
+const { render } = require('./html');
+
+const LIST = [['lmkr', '1'], ['list', 'bullet1'], ['insertorder', 'first']];
+
+test('inline formatting', () => {
+  const html = render({
+    text: 'a <b> c\n\n',
+    attribution: [
+      { chars: 2, attributes: [['author', 'a.1']] },
+      { chars: 3, attributes: [['author', 'a.1'], ['bold', 'true']] },
+      { chars: 2, attributes: [['author', 'a.2']] },
+      { chars: 2, attributes: [] },
+    ],
+  });
+
+  expect(html).toBe('<!DOCTYPE HTML><html><body>a <strong>&lt;b&gt;</strong> c<br><br></body></html>');
+});
+
+const line = (list, text, start = null) => {
+  const marker = [['lmkr', '1'], ['list', list]];
+  if (start) marker.push(['start', start]);
+
+  return [
+    { chars: 1, attributes: marker },
+    { chars: text.length + 1, attributes: [] },
+  ];
+};
+
+const buildDocument = (lines) => {
+  return {
+    text: lines.map(([, text]) => `*${text}\n`).join(''),
+    attribution: lines.flatMap(([list, text, start]) => line(list, text, start)),
+  };
+};
+
+// Etherpad's getHTML reply for the lists set in its own API tests
+test('lists as exported by Etherpad', () => {
+  const document = buildDocument([
+    ['bullet1', 'one'],
+    ['bullet1', 'two'],
+    ['bullet1', '0'],
+    ['bullet1', '1'],
+    ['bullet1', '2'],
+    ['bullet2', '3'],
+    ['bullet2', '4'],
+    ['number1', 'item', '1'],
+    ['number2', 'item1', '2'],
+    ['number2', 'item2', '3'],
+  ]);
+  document.text += '\n';
+  document.attribution.push({ chars: 1, attributes: [] });
+
+  expect(render(document)).toBe('<!DOCTYPE HTML><html><body><ul class="bullet"><li>one</li><li>two</li>'
+    + '<li>0</li><li>1</li><li>2<ul class="bullet"><li>3</li><li>4</li></ul></li></ul>'
+    + '<ol start="1" class="number"><li>item<ol start="2" class="number"><li>item1</li><li>item2</li></ol>'
+    + '</li></ol><br></body></html>');
+});
+
+test('lists changing type and skipping levels', () => {
+  const html = render({
+    text: '*one\n*two\n*three\nend\n',
+    attribution: [
+      { chars: 1, attributes: LIST },
+      { chars: 4, attributes: [] },
+      { chars: 1, attributes: [['lmkr', '1'], ['list', 'bullet3']] },
+      { chars: 4, attributes: [] },
+      { chars: 1, attributes: [['lmkr', '1'], ['list', 'number1']] },
+      { chars: 10, attributes: [] },
+    ],
+  });
+
+  expect(html).toBe([
+    '<!DOCTYPE HTML><html><body>',
+    '<ul class="bullet"><li>one<ul><ul class="bullet"><li>two</li></ul></ul></li></ul>',
+    '<ol class="number"><li>three</li></ol>',
+    'end<br>',
+    '</body></html>',
+  ].join(''));
+});
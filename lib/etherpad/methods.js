@@ -26,260 +26,365 @@ const PUBLIC_STATUS = 'publicStatus';
 
 const DYNAMIC_PARAMS = [ VALID_UNTIL ];
 
+// Etherpad API versions, oldest first
+const VERSIONS = [
+  '1',
+  '1.1',
+  '1.2',
+  '1.2.1',
+  '1.2.7',
+  '1.2.8',
+  '1.2.9',
+  '1.2.10',
+  '1.2.11',
+  '1.2.12',
+  '1.2.13',
+  '1.2.14',
+  '1.2.15',
+  '1.3.0',
+];
+
+// Methods are available from their `since` API version on. Idempotent
+// methods are safe to retry after a failed attempt, mutations are applied
+// in order for each pad
 const methods = {
   createGroup: {
+    since: '1',
     params: {
       mandatory: [],
       optional: [],
     },
   },
   deleteGroup: {
+    since: '1',
     params: {
       mandatory: [GROUP_ID],
       optional: [],
     },
   },
   listPads: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [GROUP_ID],
       optional: [],
     },
   },
   createGroupPad: {
+    since: '1',
+    mutation: true,
     params: {
       mandatory: [GROUP_ID, PAD_NAME],
       optional: [TEXT],
     },
   },
   listAllGroups: {
+    since: '1.1',
+    idempotent: true,
     params: {
       mandatory: [],
       optional: [],
     },
   },
   createAuthor: {
+    since: '1',
     params: {
       mandatory: [],
       optional: [AUTHOR_NAME],
     },
   },
   createAuthorIfNotExistsFor: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [AUTHOR_MAPPER],
       optional: [AUTHOR_NAME],
     },
   },
   listPadsOfAuthor: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [AUTHOR_ID],
       optional: [],
     },
   },
   getAuthorName: {
+    since: '1.1',
+    idempotent: true,
     params: {
       mandatory: [AUTHOR_ID],
       optional: [],
     },
   },
   createSession: {
+    since: '1',
     params: {
       mandatory: [GROUP_ID, AUTHOR_ID, VALID_UNTIL],
       optional: [],
     },
   },
   deleteSession: {
+    since: '1',
     params: {
       mandatory: [SESSION_ID],
       optional: [],
     },
   },
   getSessionInfo: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [SESSION_ID],
       optional: [],
     },
   },
   listSessionsOfGroup: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [GROUP_ID],
       optional: [],
     },
   },
   listSessionsOfAuthor: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [AUTHOR_ID],
       optional: [],
     },
   },
   getText: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [REV],
     },
   },
   setText: {
+    since: '1',
+    idempotent: true,
+    mutation: true,
     params: {
       mandatory: [PAD_ID, TEXT],
       optional: [],
     },
   },
   appendText: {
+    since: '1.2.13',
+    mutation: true,
     params: {
       mandatory: [PAD_ID, TEXT],
       optional: [],
     },
   },
   getHTML: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [REV],
     },
   },
   setHTML: {
+    since: '1',
+    idempotent: true,
+    mutation: true,
     params: {
       mandatory: [PAD_ID, HTML],
       optional: [],
     },
   },
   getAttributePool: {
+    since: '1.2.8',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   getRevisionChangeset: {
+    since: '1.2.8',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [REV],
     },
   },
   createDiffHTML: {
+    since: '1.2.7',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID, START_REV, END_REV],
       optional: [],
     },
   },
   restoreRevision: {
+    since: '1.2.11',
+    mutation: true,
     params: {
       mandatory: [PAD_ID, REV],
       optional: [],
     },
   },
   createPad: {
+    since: '1',
+    mutation: true,
     params: {
       mandatory: [PAD_ID],
       optional: [TEXT],
     },
   },
   getRevisionsCount: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   getSavedRevisionsCount: {
+    since: '1.2.11',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   listSavedRevisions: {
+    since: '1.2.11',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   saveRevision: {
+    since: '1.2.11',
+    mutation: true,
     params: {
       mandatory: [PAD_ID],
       optional: [REV],
     },
   },
   padUsersCount: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   padUsers: {
+    since: '1.1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   deletePad: {
+    since: '1',
+    mutation: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   copyPad: {
+    since: '1.2.9',
+    mutation: true,
     params: {
       mandatory: [SOURCE_ID, DESTINATION_ID],
       optional: [FORCE],
     },
   },
   copyPadWithoutHistory: {
+    since: '1.2.15',
+    mutation: true,
     params: {
       mandatory: [SOURCE_ID, DESTINATION_ID],
       optional: [FORCE],
     },
   },
   movePad: {
+    since: '1.2.9',
+    mutation: true,
     params: {
       mandatory: [SOURCE_ID, DESTINATION_ID],
       optional: [FORCE],
     },
   },
   getReadOnlyID: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   getPadID: {
+    since: '1.2.10',
+    idempotent: true,
     params: {
       mandatory: [READ_ONLY_ID],
       optional: [],
     },
   },
   setPublicStatus: {
+    since: '1',
+    idempotent: true,
+    mutation: true,
     params: {
       mandatory: [PAD_ID, PUBLIC_STATUS],
       optional: [],
     },
   },
   getPublicStatus: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   listAuthorsOfPad: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   getLastEdited: {
+    since: '1',
+    idempotent: true,
     params: {
       mandatory: [PAD_ID],
       optional: [],
     },
   },
   checkToken: {
+    since: '1.2',
+    idempotent: true,
     params: {
       mandatory: [],
       optional: [],
     },
   },
   listAllPads: {
+    since: '1.2.1',
+    idempotent: true,
     params: {
       mandatory: [],
       optional: [],
     },
   },
   getStats: {
+    since: '1.2.14',
+    idempotent: true,
     params: {
       mandatory: [],
       optional: [],
@@ -331,21 +436,57 @@ const getEntries = (params) => Object.entries(params).filter(entry => {
 
 const buildId = (method, params) => {
   let id = method;
-  const entries = getEntries(params);
-
-  if (entries.length === 0) {
-    // Avoid locking paramless calls
-    id += `&timestamp=${Date.now()}`;
-  } else {
-    for (const [key, value] of entries) {
-      id += `&${key}=${encodeURIComponent(value)}`;
-    }
+  for (const [key, value] of getEntries(params)) {
+    id += `&${key}=${encodeURIComponent(value)}`;
   }
 
   return id;
 };
 
+const parseVersion = (version) => String(version).split('.').map(Number);
+
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const length = Math.max(left.length, right.length);
+  for (let index = 0; index < length; index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) return difference;
+  }
+
+  return 0;
+};
+
+// Highest known version served by Etherpad, optionally capped
+const negotiate = (current, maximum = null) => {
+  const supported = VERSIONS.filter(version => {
+    if (compareVersions(version, current) > 0) return false;
+
+    return maximum === null || compareVersions(version, maximum) <= 0;
+  });
+
+  return supported.length !== 0 ? supported[supported.length - 1] : null;
+};
+
+const isAvailable = (method, version) => {
+  if (!hasOwnProperty(methods, method)) return false;
+
+  return compareVersions(methods[method].since, version) <= 0;
+};
+
+const isIdempotent = (method) => hasOwnProperty(methods, method) && Boolean(methods[method].idempotent);
+
+const isMutation = (method) => hasOwnProperty(methods, method) && Boolean(methods[method].mutation);
+
+// Identical calls may share a single request
+const isCoalescable = (method) => isIdempotent(method) && !isMutation(method);
+
 module.exports = {
   buildId,
+  isAvailable,
+  isCoalescable,
+  isIdempotent,
+  isMutation,
+  negotiate,
   validate,
 };
@@ -1,4 +1,8 @@
-const { validate } = require('./methods');
+const {
+  isAvailable,
+  negotiate,
+  validate,
+} = require('./methods');
 
 test('createGroup method validation', () => {
   expect(validate('createGroup')).toBe(true);
@@ -247,3 +251,19 @@ test('listAllPads method validation', () => {
 test('getStats method validation', () => {
   expect(validate('getStats')).toBe(true);
 });
+
+test('API version negotiation', () => {
+  expect(negotiate('1.2.14')).toBe('1.2.14');
+  expect(negotiate('1.3.0', '1.2.14')).toBe('1.2.14');
+  expect(negotiate('1.2.6')).toBe('1.2.1');
+  expect(negotiate('1.2.14', '1.2.11.1')).toBe('1.2.11');
+  expect(negotiate('0.9')).toBe(null);
+});
+
+test('method availability', () => {
+  expect(isAvailable('getText', '1')).toBe(true);
+  expect(isAvailable('appendText', '1.2.12')).toBe(false);
+  expect(isAvailable('appendText', '1.2.13')).toBe(true);
+  expect(isAvailable('copyPadWithoutHistory', '1.2.14')).toBe(false);
+  expect(isAvailable('missing', '1.3.0')).toBe(false);
+});
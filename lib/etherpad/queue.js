@@ -0,0 +1,145 @@
+const {
+  buildId,
+  isCoalescable,
+  isMutation,
+} = require('./methods');
+const {
+  registerCoalescedCall,
+  registerQueueDepth,
+  registerQueueWait,
+} = require('../utils/prometheus');
+
+const queues = {
+  PADS: 'pads',
+  SLOTS: 'slots',
+};
+
+const getPadId = (params) => {
+  if (params.padID) return params.padID;
+
+  if (params.sourceID) return params.sourceID;
+
+  if (params.groupID && params.padName) return `${params.groupID}$${params.padName}`;
+
+  return null;
+};
+
+// Schedules API calls: identical reads share a request, mutations run in order
+// for each pad and at most `concurrency` requests are sent at once
+const createQueue = ({
+  name = 'etherpad',
+  concurrency = 10,
+} = {}) => {
+  const inflight = {};
+  const pads = {};
+  const waiting = [];
+  let active = 0;
+  let depth = 0;
+
+  const acquire = () => new Promise(resolve => {
+    if (active < concurrency) {
+      active++;
+
+      return resolve();
+    }
+
+    waiting.push(resolve);
+    registerQueueDepth(name, queues.SLOTS, waiting.length);
+  });
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+
+    registerQueueDepth(name, queues.SLOTS, waiting.length);
+  };
+
+  const limit = (method, task, queued) => acquire().then(() => {
+    registerQueueWait(method, (Date.now() - queued) / 1000);
+
+    return task().finally(release);
+  });
+
+  const enqueue = (padId, run) => {
+    if (!pads[padId]) {
+      pads[padId] = {
+        tail: Promise.resolve(),
+        pending: 0,
+      };
+    }
+
+    const pad = pads[padId];
+    pad.pending++;
+    registerQueueDepth(name, queues.PADS, ++depth);
+
+    const result = pad.tail.then(run);
+    const done = () => {
+      pad.pending--;
+      registerQueueDepth(name, queues.PADS, --depth);
+      if (pad.pending === 0 && pads[padId] === pad) delete pads[padId];
+    };
+
+    // Failures do not stop the pad's next mutations
+    pad.tail = result.then(done, done);
+
+    return result;
+  };
+
+  const coalesce = (id, run) => {
+    if (!inflight[id]) {
+      const promise = run();
+      const done = () => delete inflight[id];
+      promise.then(done, done);
+      inflight[id] = promise;
+    }
+
+    return inflight[id];
+  };
+
+  // Jobs of several requests hold the pad's queue until they are done, each
+  // of their requests only waiting for a slot
+  const exclusive = (padId, job) => {
+    return enqueue(padId, () => job((method, task) => limit(method, task, Date.now())));
+  };
+
+  const schedule = (method, params, task) => {
+    const queued = Date.now();
+    const run = () => limit(method, task, queued);
+
+    if (isCoalescable(method)) {
+      const id = buildId(method, params);
+      if (inflight[id]) registerCoalescedCall(method);
+
+      return coalesce(id, run);
+    }
+
+    const padId = isMutation(method) ? getPadId(params) : null;
+    if (padId) return enqueue(padId, run);
+
+    return run();
+  };
+
+  const getStats = () => {
+    return {
+      active,
+      waiting: waiting.length,
+      pads: Object.keys(pads).length,
+      pending: depth,
+      inflight: Object.keys(inflight).length,
+    };
+  };
+
+  return {
+    exclusive,
+    schedule,
+    getStats,
+  };
+};
+
+module.exports = {
+  createQueue,
+};
@@ -0,0 +1,62 @@
+const { createQueue } = require('./queue');
+
+const defer = () => {
+  let resolve;
+  const promise = new Promise(done => resolve = done);
+
+  return { promise, resolve };
+};
+
+test('identical reads share a request', async () => {
+  const queue = createQueue();
+  const task = jest.fn(() => Promise.resolve('text'));
+
+  const results = await Promise.all([
+    queue.schedule('getText', { padID: 'pad' }, task),
+    queue.schedule('getText', { padID: 'pad' }, task),
+  ]);
+
+  expect(results).toEqual(['text', 'text']);
+  expect(task).toHaveBeenCalledTimes(1);
+
+  await queue.schedule('getText', { padID: 'pad' }, task);
+  expect(task).toHaveBeenCalledTimes(2);
+});
+
+test('mutations run in order for each pad', async () => {
+  const queue = createQueue();
+  const order = [];
+  const first = defer();
+
+  const calls = [
+    queue.schedule('appendText', { padID: 'pad', text: 'a' }, () => first.promise.then(() => order.push('a'))),
+    queue.schedule('appendText', { padID: 'pad', text: 'a' }, () => Promise.resolve(order.push('b'))),
+    queue.schedule('appendText', { padID: 'other', text: 'c' }, () => Promise.resolve(order.push('c'))),
+  ];
+
+  await calls[2];
+  first.resolve();
+  await Promise.all(calls);
+
+  expect(order).toEqual(['c', 'a', 'b']);
+});
+
+test('concurrency limit', async () => {
+  const queue = createQueue({ concurrency: 1 });
+  const first = defer();
+  const second = jest.fn(() => Promise.resolve());
+
+  const calls = [
+    queue.schedule('createGroup', {}, () => first.promise),
+    queue.schedule('createGroup', {}, second),
+  ];
+
+  await Promise.resolve();
+  expect(queue.getStats()).toMatchObject({ active: 1, waiting: 1 });
+  expect(second).not.toHaveBeenCalled();
+
+  first.resolve();
+  await Promise.all(calls);
+  expect(second).toHaveBeenCalledTimes(1);
+  expect(queue.getStats()).toMatchObject({ active: 0, waiting: 0, pads: 0 });
+});
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Points placed on the ring for each unit of weight
+const REPLICAS = 100;
+
+const hash = (key) => crypto.createHash('md5').update(String(key)).digest().readUInt32BE(0);
+
+const find = (points, position) => {
+  let low = 0;
+  let high = points.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (points[middle].position < position) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low % points.length;
+};
+
+// Consistent hashing: adding or removing a node only moves the keys it takes
+// or held. Nodes weighted 0 are left out, taking no new keys
+const createRing = (nodes) => {
+  const points = [];
+  nodes.forEach(({ name, weight = 1 }) => {
+    const replicas = Math.round(REPLICAS * weight);
+    for (let index = 0; index < replicas; index++) {
+      points.push({ position: hash(`${name}#${index}`), name });
+    }
+  });
+
+  points.sort((a, b) => a.position - b.position);
+
+  // Walks clockwise from the key to the first node accepted
+  const locate = (key, accept = () => true) => {
+    if (points.length === 0) return null;
+
+    const start = find(points, hash(key));
+    const rejected = new Set();
+    for (let offset = 0; offset < points.length; offset++) {
+      const { name } = points[(start + offset) % points.length];
+      if (!rejected.has(name)) {
+        if (accept(name)) return name;
+
+        rejected.add(name);
+      }
+    }
+
+    return null;
+  };
+
+  return {
+    locate,
+  };
+};
+
+module.exports = {
+  createRing,
+};
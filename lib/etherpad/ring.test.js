@@ -0,0 +1,42 @@
+const { createRing } = require('./ring');
+
+const keys = Array.from({ length: 2000 }, (_, index) => `meeting-${index}`);
+
+const distribute = (ring, accept) => keys.reduce((result, key) => {
+  const name = ring.locate(key, accept);
+  result[name] = (result[name] || 0) + 1;
+
+  return result;
+}, {});
+
+test('keys are spread by weight', () => {
+  const ring = createRing([
+    { name: 'a', weight: 1 },
+    { name: 'b', weight: 3 },
+    { name: 'c', weight: 0 },
+  ]);
+
+  const counts = distribute(ring);
+  expect(counts.c).toBeUndefined();
+  expect(counts.b / keys.length).toBeGreaterThan(0.65);
+  expect(counts.b / keys.length).toBeLessThan(0.85);
+  expect(ring.locate('meeting-0')).toBe(ring.locate('meeting-0'));
+});
+
+test('adding a node only moves the keys it takes', () => {
+  const before = createRing([{ name: 'a' }, { name: 'b' }]);
+  const after = createRing([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+
+  keys.forEach(key => {
+    const name = after.locate(key);
+    if (name !== 'c') expect(name).toBe(before.locate(key));
+  });
+});
+
+test('rejected nodes fail over to the next one', () => {
+  const ring = createRing([{ name: 'a' }, { name: 'b' }]);
+
+  expect(distribute(ring, name => name !== 'a')).toEqual({ b: keys.length });
+  expect(ring.locate('meeting-0', () => false)).toBe(null);
+  expect(createRing([]).locate('meeting-0')).toBe(null);
+});
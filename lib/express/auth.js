@@ -0,0 +1,49 @@
+const database = require('../redis/database');
+const mapper = require('../redis/mapper');
+const token = require('../utils/token');
+const config = require('../../config');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('auth');
+
+const { export: settings = {} } = config.express;
+
+const { authorization: AUTHORIZATION = true } = settings;
+
+const scopes = {
+  EXPORT: 'export',
+  STREAM: 'stream',
+};
+
+// Tokens are bound to a scope, a pad and a user with access to it
+const authorize = (scope) => (req, res, next) => {
+  if (scope === scopes.EXPORT && !AUTHORIZATION) return next();
+
+  const { padId } = req.params;
+  const payload = token.verify(req.query.token);
+  if (!payload) {
+    logger.warn('unauthorized', { scope, padId });
+
+    return res.sendStatus(401);
+  }
+
+  const {
+    meetingId,
+    userId,
+  } = payload;
+
+  const pad = mapper.getPad(padId);
+  const valid = payload.scope === scope && payload.padId === padId && pad && pad.meetingId === meetingId;
+  if (!valid || !database.hasPermission(meetingId, pad.groupId, userId)) {
+    logger.warn('forbidden', { scope, padId, meetingId, userId });
+
+    return res.sendStatus(403);
+  }
+
+  next();
+};
+
+module.exports = {
+  scopes,
+  authorize,
+};
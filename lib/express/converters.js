@@ -0,0 +1,160 @@
+// Conversions from Etherpad's exports into the formats served by bbb-pads
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+};
+
+const decode = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+
+      // Out of range, null and surrogate references decode as browsers do
+      if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\ufffd';
+
+      return String.fromCodePoint(code);
+    }
+
+    const decoded = ENTITIES[entity.toLowerCase()];
+
+    return decoded !== undefined ? decoded : match;
+  });
+};
+
+const normalizeText = (text) => {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\u200b/g, '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''));
+
+  const normalized = lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\n+$/g, '');
+
+  return `${normalized}\n`;
+};
+
+const getAttribute = (attributes, name) => {
+  const match = new RegExp(`${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  if (!match) return null;
+
+  return decode(match[2] || match[3] || match[4] || '');
+};
+
+const escapeMarkdown = (text, lineStart) => {
+  const escaped = text.replace(/([\\`*_[\]])/g, '\\$1');
+  if (!lineStart) return escaped;
+
+  // Avoid plain lines being taken as headings, quotes or lists
+  return escaped.replace(/^(\s*)([#>+-]|\d+\.)(\s)/, (match, space, marker, after) => {
+    return `${space}${marker.replace(/^(\d+)?([#>+.-])$/, '$1\\$2')}${after}`;
+  });
+};
+
+const EMPHASIS = {
+  strong: '**',
+  b: '**',
+  em: '_',
+  i: '_',
+  s: '~~',
+  del: '~~',
+  strike: '~~',
+  code: '`',
+};
+
+const HEADINGS = /^h([1-6])$/;
+
+const toMarkdown = (html) => {
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  const content = body ? body[1] : html;
+
+  const lists = [];
+  const links = [];
+  let output = '';
+
+  const atLineStart = () => output.length === 0 || output.endsWith('\n');
+
+  const newLine = () => {
+    if (!atLineStart()) output += '\n';
+  };
+
+  const tokens = /<(\/?)([a-z0-9]+)([^>]*)>|([^<]+)/gi;
+  let token;
+  while ((token = tokens.exec(content)) !== null) {
+    const [, closing, rawTag, attributes, text] = token;
+
+    if (text !== undefined) {
+      output += escapeMarkdown(decode(text), atLineStart());
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const heading = HEADINGS.exec(tag);
+
+    if (EMPHASIS[tag]) {
+      output += EMPHASIS[tag];
+    } else if (heading) {
+      if (closing) {
+        output += '\n';
+      } else {
+        newLine();
+        output += `${'#'.repeat(Number(heading[1]))} `;
+      }
+    } else if (tag === 'br') {
+      output += '\n';
+    } else if (tag === 'a') {
+      if (closing) {
+        const href = links.pop();
+        output += href ? `](${href})` : '';
+      } else {
+        const href = getAttribute(attributes, 'href');
+        links.push(href);
+        output += href ? '[' : '';
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        newLine();
+        lists.push({
+          ordered: tag === 'ol',
+          // Etherpad renders indentation as a list without markers
+          indent: getAttribute(attributes, 'class') === 'indent',
+          counter: Number(getAttribute(attributes, 'start')) || 1,
+        });
+      }
+    } else if (tag === 'li') {
+      if (closing) {
+        newLine();
+      } else if (lists.length !== 0) {
+        newLine();
+        const list = lists[lists.length - 1];
+        const padding = '  '.repeat(lists.length - 1);
+
+        if (list.indent) {
+          output += `${padding}  `;
+        } else if (list.ordered) {
+          output += `${padding}${list.counter++}. `;
+        } else {
+          output += `${padding}- `;
+        }
+      }
+    } else if ((tag === 'p' || tag === 'div') && closing) {
+      newLine();
+    }
+  }
+
+  return normalizeText(output);
+};
+
+module.exports = {
+  normalizeText,
+  toMarkdown,
+};
@@ -0,0 +1,31 @@
+const {
+  normalizeText,
+  toMarkdown,
+} = require('./converters');
+
+test('text normalization', () => {
+  expect(normalizeText('\r\nfirst  \r\nsecond \n\n\n\nthird\n\n')).toBe('first\nsecond\n\nthird\n');
+  expect(normalizeText('')).toBe('\n');
+});
+
+test('markdown formatting conversion', () => {
+  const html = '<!DOCTYPE HTML><html><body><h1>Title</h1><strong>bold</strong> and <em>italic</em><br>'
+    + '<a href="https://example.com">link</a> &amp; <s>gone</s><br></body></html>';
+
+  expect(toMarkdown(html)).toBe('# Title\n**bold** and _italic_\n[link](https://example.com) & ~~gone~~\n');
+});
+
+test('markdown lists conversion', () => {
+  const html = '<ul class="bullet"><li>one<ul class="bullet"><li>nested</li></ul></li><li>two</li></ul>'
+    + '<ol start="3" class="number"><li>three</li><li>four</li></ol>';
+
+  expect(toMarkdown(html)).toBe('- one\n  - nested\n- two\n3. three\n4. four\n');
+});
+
+test('markdown escaping', () => {
+  expect(toMarkdown('# not a heading<br>1. not a list<br>a*b_c')).toBe('\\# not a heading\n1\\. not a list\na\\*b\\_c\n');
+});
+
+test('character references out of range', () => {
+  expect(toMarkdown('&#x110000; &#0; &#xD800; &#99999999999; &#x1F600;')).toBe('\ufffd \ufffd \ufffd \ufffd \u{1f600}\n');
+});
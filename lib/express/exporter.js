@@ -0,0 +1,101 @@
+const api = require('../etherpad/api');
+const mapper = require('../redis/mapper');
+const {
+  normalizeText,
+  toMarkdown,
+} = require('./converters');
+const { ids } = require('../utils/constants');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('exporter');
+
+const parseName = (padId) => padId.split('$')[1] || padId;
+
+// Etherpad versions differ on the getAuthorName reply
+const getAuthorName = (meetingId, authorId) => {
+  return api.call('getAuthorName', { authorID: authorId }, meetingId).then(data => {
+    return typeof data === 'string' ? data : data.authorName;
+  }).catch(() => null);
+};
+
+const buildAuthors = (meetingId, authorIds) => {
+  const promises = authorIds.map(authorId => getAuthorName(meetingId, authorId).then(name => {
+    const user = mapper.getUser(authorId);
+
+    return {
+      authorId,
+      userId: user ? user.userId : null,
+      name,
+    };
+  }));
+
+  return Promise.all(promises);
+};
+
+// Older Etherpads export without the attribute pool
+const getPool = (meetingId, padId) => {
+  if (!api.supports('getAttributePool', meetingId)) return Promise.resolve({ pool: null });
+
+  return api.call('getAttributePool', { padID: padId }, meetingId);
+};
+
+const buildJSON = (meetingId, padId) => {
+  return Promise.all([
+    api.call('getText', { padID: padId }, meetingId),
+    getPool(meetingId, padId),
+    api.call('listAuthorsOfPad', { padID: padId }, meetingId),
+  ]).then(([{ text }, { pool }, { authorIDs }]) => {
+    return buildAuthors(meetingId, authorIDs).then(authors => JSON.stringify({
+      padId,
+      text,
+      pool,
+      authors,
+    }, null, 2));
+  });
+};
+
+const formats = {
+  md: {
+    type: 'text/markdown; charset=utf-8',
+    build: (meetingId, padId) => api.call('getHTML', { padID: padId }, meetingId).then(({ html }) => toMarkdown(html)),
+  },
+  json: {
+    type: 'application/json; charset=utf-8',
+    build: buildJSON,
+  },
+  txt: {
+    type: 'text/plain; charset=utf-8',
+    build: (meetingId, padId) => api.call('getText', { padID: padId }, meetingId).then(({ text }) => normalizeText(text)),
+  },
+};
+
+const supports = (type) => Object.prototype.hasOwnProperty.call(formats, type);
+
+const web = (req, res) => {
+  const {
+    padId,
+    type,
+  } = req.params;
+
+  logger.info('request', { padId, type });
+
+  // Pads are routed through their meeting's backend
+  const pad = mapper.getPad(padId);
+  const meetingId = pad ? pad.meetingId : null;
+
+  const format = formats[type];
+  format.build(meetingId, padId).then(content => {
+    res.attachment(`${parseName(padId)}.${type}`);
+    res.type(format.type);
+    res.send(content);
+  }).catch((error) => {
+    logger.error(ids.PAD, 'exporting', { padId, type });
+
+    res.sendStatus(error === api.errors.UNSUPPORTED ? 501 : 502);
+  });
+};
+
+module.exports = {
+  supports,
+  web,
+};
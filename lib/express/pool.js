@@ -0,0 +1,143 @@
+const api = require('../etherpad/api');
+const config = require('../../config');
+const { ids } = require('../utils/constants');
+const Logger = require('../utils/logger');
+const { registerProxySession } = require('../utils/prometheus');
+
+const logger = new Logger('pool');
+
+const { session: settings } = config.express.proxy;
+
+const {
+  ttl: TTL,
+  margin: MARGIN = 10000,
+} = settings;
+
+// One proxy author and session per group, on its meeting's backend
+const pool = {};
+
+// Creations in flight, shared by concurrent requests
+const pending = {};
+
+// Renewed sessions, kept until they expire for the requests still using them
+let retired = [];
+
+const counters = {
+  hits: 0,
+  misses: 0,
+};
+
+let interval = null;
+
+const isValid = (entry) => entry && entry.expiration - MARGIN > Date.now();
+
+const deleteSession = (backend, groupId, sessionId) => {
+  return api.callBackend(backend, 'deleteSession', { sessionID: sessionId }).then(() => {
+    logger.trace(ids.SESSION, 'deleted', { groupId, sessionId });
+  }).catch(() => logger.error(ids.SESSION, 'deleting', { groupId, sessionId }));
+};
+
+const getAuthor = (backend, groupId, entry) => {
+  if (entry) return Promise.resolve(entry.authorId);
+
+  // Mapped authors are reused across restarts instead of leaking new ones
+  return api.callBackend(backend, 'createAuthorIfNotExistsFor', {
+    authorMapper: `proxy-${groupId}`,
+    name: 'proxy',
+  }).then(response => response.authorID);
+};
+
+const create = (meetingId, groupId) => {
+  const previous = pool[groupId];
+  // Sessions outlive their meeting's backend assignment
+  const backend = previous ? previous.backend : api.getBackend(meetingId);
+
+  return getAuthor(backend, groupId, previous).then(authorId => {
+    const expiration = Date.now() + TTL;
+
+    return api.callBackend(backend, 'createSession', {
+      groupID: groupId,
+      authorID: authorId,
+      validUntil: expiration,
+    }).then(response => {
+      const sessionId = response.sessionID;
+      pool[groupId] = {
+        backend,
+        authorId,
+        sessionId,
+        expiration,
+      };
+
+      logger.trace(ids.SESSION, 'created', { groupId, authorId, sessionId });
+
+      if (previous) retired.push({ groupId, ...previous });
+
+      return sessionId;
+    });
+  });
+};
+
+const acquire = (meetingId, groupId) => {
+  const entry = pool[groupId];
+  if (isValid(entry)) {
+    counters.hits++;
+    registerProxySession('hit');
+
+    return Promise.resolve(entry.sessionId);
+  }
+
+  counters.misses++;
+  registerProxySession('miss');
+
+  if (!pending[groupId]) {
+    pending[groupId] = create(meetingId, groupId).finally(() => delete pending[groupId]);
+  }
+
+  return pending[groupId];
+};
+
+// Drop the sessions of groups that went idle and the renewed ones that expired
+const sweep = () => {
+  const now = Date.now();
+  Object.keys(pool).forEach(groupId => {
+    const { backend, sessionId, expiration } = pool[groupId];
+    if (expiration <= now && !pending[groupId]) {
+      delete pool[groupId];
+      deleteSession(backend, groupId, sessionId);
+    }
+  });
+
+  retired = retired.filter(({ groupId, backend, sessionId, expiration }) => {
+    if (expiration > now) return true;
+
+    deleteSession(backend, groupId, sessionId);
+
+    return false;
+  });
+};
+
+const getStats = () => {
+  return {
+    ...counters,
+    size: Object.keys(pool).length,
+  };
+};
+
+const start = () => {
+  stop();
+  interval = setInterval(sweep, TTL);
+};
+
+const stop = () => {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+  }
+};
+
+module.exports = {
+  acquire,
+  getStats,
+  start,
+  stop,
+};
@@ -0,0 +1,79 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  express: {
+    proxy: {
+      session: { ttl: 60000, margin: 10000 },
+    },
+  },
+}));
+
+jest.mock('../etherpad/api', () => ({
+  callBackend: jest.fn(),
+  getBackend: jest.fn(() => 'etherpad'),
+}));
+
+let api = null;
+let pool = null;
+let counter = 0;
+
+const getCalls = (method) => api.callBackend.mock.calls.filter(([, name]) => name === method).map(([, , params]) => params);
+
+// A fresh pool for each test
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers();
+  api = require('../etherpad/api');
+  pool = require('./pool');
+  api.callBackend.mockImplementation((backend, method) => {
+    switch (method) {
+      case 'createAuthorIfNotExistsFor':
+        return Promise.resolve({ authorID: 'a.proxy' });
+      case 'createSession':
+        return Promise.resolve({ sessionID: `s.${++counter}` });
+      default:
+        return Promise.resolve(null);
+    }
+  });
+  pool.start();
+});
+
+afterEach(() => {
+  pool.stop();
+  jest.useRealTimers();
+});
+
+test('concurrent requests share one session', async () => {
+  const sessionIds = await Promise.all([
+    pool.acquire('meeting', 'g.shared'),
+    pool.acquire('meeting', 'g.shared'),
+  ]);
+
+  expect(sessionIds[0]).toBe(sessionIds[1]);
+  expect(await pool.acquire('meeting', 'g.shared')).toBe(sessionIds[0]);
+  expect(getCalls('createSession')).toHaveLength(1);
+});
+
+test('renewed sessions are deleted once they expire', async () => {
+  const first = await pool.acquire('meeting', 'g.renewed');
+
+  // Within the margin a new session takes over, reusing the author
+  jest.advanceTimersByTime(55000);
+  const second = await pool.acquire('meeting', 'g.renewed');
+
+  expect(second).not.toBe(first);
+  expect(getCalls('createAuthorIfNotExistsFor')).toHaveLength(1);
+  expect(getCalls('deleteSession')).toHaveLength(0);
+
+  jest.advanceTimersByTime(5000);
+  expect(getCalls('deleteSession')).toEqual([{ sessionID: first }]);
+});
+
+test('idle sessions are deleted once they expire', async () => {
+  const sessionId = await pool.acquire('meeting', 'g.idle');
+  expect(pool.getStats().size).toBe(1);
+
+  jest.advanceTimersByTime(60000);
+
+  expect(getCalls('deleteSession')).toEqual([{ sessionID: sessionId }]);
+  expect(pool.getStats().size).toBe(0);
+});
@@ -1,13 +1,12 @@
 const httpProxy = require('http-proxy');
-const config = require('../../config');
 const api = require('../etherpad/api');
+const mapper = require('../redis/mapper');
+const pool = require('./pool');
 const { ids } = require('../utils/constants');
 const Logger = require('../utils/logger');
 
 const logger = new Logger('proxy');
 
-const { proxy: settings } = config.express;
-
 const parsePadId = (padId) => {
   const [groupId, name] = padId.split('$');
 
@@ -17,13 +16,16 @@ const parsePadId = (padId) => {
   };
 };
 
-const proxy = httpProxy.createProxyServer({
-  target: {
-    protocol: config.etherpad.scheme,
-    host: config.etherpad.host,
-    port: config.etherpad.port,
-  },
-});
+// Signed tokens are for bbb-pads, not for Etherpad's access logs
+const stripToken = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.delete('token');
+
+  return `${parsed.pathname}${parsed.search}`;
+};
+
+// Targets depend on the pad's meeting backend
+const proxy = httpProxy.createProxyServer();
 
 proxy.on('proxyReq', (proxyReq, req) => {
   const {
@@ -39,20 +41,17 @@ proxy.on('proxyReq', (proxyReq, req) => {
 const web = (req, res) => {
   const { padId } = req.params;
   const { groupId } = parsePadId(padId);
-  api.call('createAuthor', { name: `proxy-${padId}` }).then(response => {
-    const authorId = response.authorID;
-    logger.trace(ids.USER, 'created', { groupId, authorId });
-    api.call('createSession', {
-      groupID: groupId,
-      authorID: authorId,
-      validUntil: Date.now() + settings.session.ttl,
-    }).then(response => {
-      const sessionId = response.sessionID;
-      logger.trace(ids.SESSION, 'created', { groupId, authorId, sessionId });
-      req.params.sessionId = sessionId;
-      proxy.web(req, res);
-    }).catch(() => logger.error(ids.SESSION, 'creating', { groupId, authorId }));
-  }).catch(() => logger.error(ids.USER, 'creating', { groupId }));
+  const pad = mapper.getPad(padId);
+  const meetingId = pad ? pad.meetingId : null;
+  req.url = stripToken(req.url);
+  pool.acquire(meetingId, groupId).then(sessionId => {
+    req.params.sessionId = sessionId;
+    proxy.web(req, res, { target: api.getTarget(meetingId) });
+  }).catch(() => {
+    logger.error(ids.SESSION, 'acquiring', { groupId });
+
+    res.sendStatus(502);
+  });
 };
 
 module.exports = {
@@ -0,0 +1,33 @@
+jest.mock('../../config', () => ({ log: { level: 'info' } }));
+
+jest.mock('http-proxy', () => {
+  const server = { on: jest.fn(), web: jest.fn() };
+
+  return { createProxyServer: () => server };
+});
+
+jest.mock('../etherpad/api', () => ({ getTarget: jest.fn(() => 'http://etherpad:9001') }));
+
+jest.mock('../redis/mapper', () => ({ getPad: jest.fn(() => ({ meetingId: 'meeting' })) }));
+
+jest.mock('./pool', () => ({ acquire: jest.fn(() => Promise.resolve('s.1')) }));
+
+const httpProxy = require('http-proxy');
+const proxy = require('./proxy');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('tokens are not forwarded to Etherpad', async () => {
+  const req = {
+    url: '/p/g.1$notes/export/pdf?token=signed&lang=en',
+    params: { padId: 'g.1$notes', type: 'pdf' },
+  };
+
+  proxy.web(req, {});
+  await flush();
+
+  const [proxied, , { target }] = httpProxy.createProxyServer().web.mock.calls[0];
+  expect(proxied.url).toBe('/p/g.1$notes/export/pdf?lang=en');
+  expect(proxied.params.sessionId).toBe('s.1');
+  expect(target).toBe('http://etherpad:9001');
+});
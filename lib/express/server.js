@@ -1,5 +1,13 @@
 const express = require('express');
+const {
+  authorize,
+  scopes,
+} = require('./auth');
+const captions = require('../captions');
+const exporter = require('./exporter');
+const pool = require('./pool');
 const proxy = require('./proxy');
+const stream = require('./stream');
 const config = require('../../config');
 const Logger = require('../utils/logger');
 
@@ -9,7 +17,32 @@ const { express: settings } = config;
 
 const app = express();
 
-app.get('/p/:padId/export/:type', (req, res) => proxy.web(req, res));
+// Formats not exported by bbb-pads are left to Etherpad
+app.get('/p/:padId/export/:type', authorize(scopes.EXPORT), (req, res) => {
+  if (exporter.supports(req.params.type)) return exporter.web(req, res);
+
+  proxy.web(req, res);
+});
+
+app.get('/p/:padId/captions/:format', authorize(scopes.EXPORT), (req, res) => {
+  const {
+    padId,
+    format,
+  } = req.params;
+
+  if (!captions.supports(format)) return res.sendStatus(404);
+
+  const content = captions.render(padId, format);
+  if (content === null) return res.sendStatus(404);
+
+  logger.info('captions', { padId, format });
+
+  res.attachment(`${padId.split('$')[1] || padId}.${format}`);
+  res.type(captions.getType(format));
+  res.send(content);
+});
+
+app.get('/p/:padId/stream', authorize(scopes.STREAM), (req, res) => stream.web(req, res));
 
 const start = () => {
   const {
@@ -17,6 +50,7 @@ const start = () => {
     port,
   } = settings;
 
+  pool.start();
   app.listen(port, host, () => logger.info('started', { host, port }))
 };
 
@@ -0,0 +1,54 @@
+const captions = require('../captions');
+const config = require('../../config');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('stream');
+
+const { stream: settings = {} } = config.express;
+
+const { heartbeat: HEARTBEAT = 15000 } = settings;
+
+const format = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Server-Sent Events feed of a caption pad's patches
+const web = (req, res) => {
+  const { padId } = req.params;
+  if (!captions.has(padId)) return res.sendStatus(404);
+
+  // EventSource sends the header on reconnection, the query covers other clients
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug('closed', { padId });
+  };
+
+  unsubscribe = captions.subscribe(padId, lastEventId, (event) => {
+    res.write(format(event));
+
+    if (event.type === 'end') {
+      close();
+      res.end();
+    }
+  });
+
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT);
+  req.on('close', close);
+
+  logger.info('opened', { padId, lastEventId });
+};
+
+module.exports = {
+  web,
+};
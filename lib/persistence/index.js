@@ -0,0 +1,213 @@
+const config = require('../../config');
+const { ids } = require('../utils/constants');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('persistence');
+
+const { persistence: settings = {} } = config;
+
+const {
+  backend: BACKEND = 'redis',
+  prefix: PREFIX = 'bbb-pads',
+} = settings;
+
+const BACKENDS = {
+  memory: './memory',
+  redis: './redis',
+};
+
+// Built-in backends are referenced by name, custom ones by module path
+const backend = require(BACKENDS[BACKEND] || BACKEND);
+
+const MEETINGS = `${PREFIX}:meetings`;
+
+const buildKey = (meetingId) => `${PREFIX}:meeting:${meetingId}`;
+
+// Fields only have to be unique, records carry their own ids
+const buildField = (type, ...keys) => [type, ...keys].join(':');
+
+const parseType = (field) => field.split(':')[0];
+
+const write = (promise, context) => {
+  return promise.catch(() => logger.error('writing', context));
+};
+
+const save = (meetingId, field, record) => {
+  return write(backend.hset(buildKey(meetingId), field, JSON.stringify(record)), { meetingId, field });
+};
+
+const remove = (meetingId, field) => {
+  return write(backend.hdel(buildKey(meetingId), field), { meetingId, field });
+};
+
+const saveMeeting = (meetingId, {
+  locked,
+  name = null,
+  parentId = null,
+  // Etherpad backend, not to be confused with the storage one
+  backend: etherpad = null,
+}) => {
+  const record = {
+    locked,
+    name,
+    parentId,
+    backend: etherpad,
+  };
+
+  return write(backend.hset(MEETINGS, meetingId, JSON.stringify(record)), { meetingId });
+};
+
+const removeMeeting = (meetingId) => {
+  return write(Promise.all([
+    backend.hdel(MEETINGS, meetingId),
+    backend.del(buildKey(meetingId)),
+  ]), { meetingId });
+};
+
+const saveUser = (meetingId, userId, {
+  authorId,
+  name,
+  role,
+  locked,
+}) => save(meetingId, buildField(ids.USER, userId), { userId, authorId, name, role, locked });
+
+const removeUser = (meetingId, userId) => remove(meetingId, buildField(ids.USER, userId));
+
+const saveGroup = (meetingId, groupId, {
+  externalId,
+  model,
+  overrides = null,
+  readOnly = {},
+}) => save(meetingId, buildField(ids.GROUP, groupId), { groupId, externalId, model, overrides, readOnly });
+
+const removeGroup = (meetingId, groupId) => remove(meetingId, buildField(ids.GROUP, groupId));
+
+const savePad = (meetingId, groupId, padId, {
+  text,
+  html,
+}) => save(meetingId, buildField(ids.PAD, padId), { groupId, padId, text, html });
+
+const removePad = (meetingId, groupId, padId) => remove(meetingId, buildField(ids.PAD, padId));
+
+const saveSession = (meetingId, groupId, userId, {
+  sessionId,
+  expiration,
+}) => save(meetingId, buildField(ids.SESSION, groupId, userId), { groupId, userId, sessionId, expiration });
+
+const removeSession = (meetingId, groupId, userId) => remove(meetingId, buildField(ids.SESSION, groupId, userId));
+
+const buildMeeting = ({
+  locked,
+  name = null,
+  parentId = null,
+  backend: etherpad = null,
+}, fields) => {
+  const meeting = {
+    locked,
+    name,
+    parentId,
+    backend: etherpad,
+    users: {},
+    groups: {},
+  };
+
+  const records = Object.entries(fields).map(([field, value]) => ({
+    type: parseType(field),
+    record: JSON.parse(value),
+  }));
+
+  // Groups first, pads and sessions are nested into them
+  records.filter(({ type }) => type === ids.GROUP).forEach(({ record }) => {
+    const {
+      groupId,
+      externalId,
+      model,
+      overrides = null,
+      readOnly = {},
+    } = record;
+
+    meeting.groups[groupId] = {
+      externalId,
+      model,
+      overrides,
+      readOnly,
+      pads: {},
+      sessions: {},
+    };
+  });
+
+  records.forEach(({ type, record }) => {
+    switch (type) {
+      case ids.USER: {
+        const { userId, ...user } = record;
+        meeting.users[userId] = user;
+        break;
+      }
+      case ids.PAD: {
+        const { groupId, padId, ...pad } = record;
+        if (meeting.groups[groupId]) meeting.groups[groupId].pads[padId] = pad;
+        break;
+      }
+      case ids.SESSION: {
+        const { groupId, userId, ...session } = record;
+        if (meeting.groups[groupId]) meeting.groups[groupId].sessions[userId] = session;
+        break;
+      }
+      default:
+    }
+  });
+
+  return meeting;
+};
+
+// Flat collection of records, for state kept outside the database
+const createStore = (name) => {
+  const key = `${PREFIX}:${name}`;
+
+  const loadStore = () => {
+    return backend.hgetall(key).then(fields => {
+      return Object.entries(fields).reduce((result, [id, value]) => {
+        result[id] = JSON.parse(value);
+
+        return result;
+      }, {});
+    });
+  };
+
+  return {
+    save: (id, record) => write(backend.hset(key, id, JSON.stringify(record)), { name, id }),
+    remove: (id) => write(backend.hdel(key, id), { name, id }),
+    load: loadStore,
+  };
+};
+
+const load = () => {
+  return backend.hgetall(MEETINGS).then(meetings => {
+    const meetingIds = Object.keys(meetings);
+    const promises = meetingIds.map(meetingId => backend.hgetall(buildKey(meetingId)));
+
+    return Promise.all(promises).then(fields => {
+      return meetingIds.reduce((result, meetingId, index) => {
+        result[meetingId] = buildMeeting(JSON.parse(meetings[meetingId]), fields[index]);
+        logger.trace(ids.MEETING, 'loaded', { meetingId });
+
+        return result;
+      }, {});
+    });
+  });
+};
+
+module.exports = {
+  createStore,
+  load,
+  saveMeeting,
+  removeMeeting,
+  saveUser,
+  removeUser,
+  saveGroup,
+  removeGroup,
+  savePad,
+  removePad,
+  saveSession,
+  removeSession,
+};
@@ -0,0 +1,72 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  persistence: { backend: 'memory' },
+}));
+
+const persistence = require('./index');
+
+test('meeting persistence', async () => {
+  await persistence.saveMeeting('meetingId', {
+    locked: false,
+    name: 'name',
+    parentId: 'parentId',
+    backend: 'backend',
+  });
+  await persistence.saveUser('meetingId', 'userId', {
+    authorId: 'authorId',
+    name: 'name',
+    role: 'VIEWER',
+    locked: true,
+  });
+  await persistence.saveGroup('meetingId', 'groupId', {
+    externalId: 'externalId',
+    model: 'notes',
+  });
+  await persistence.savePad('meetingId', 'groupId', 'groupId$name', {
+    text: 'text',
+    html: 'html',
+  });
+  await persistence.saveSession('meetingId', 'groupId', 'userId', {
+    sessionId: 'sessionId',
+    expiration: 1,
+  });
+
+  expect(await persistence.load()).toEqual({
+    meetingId: {
+      locked: false,
+      name: 'name',
+      parentId: 'parentId',
+      backend: 'backend',
+      users: {
+        userId: {
+          authorId: 'authorId',
+          name: 'name',
+          role: 'VIEWER',
+          locked: true,
+        },
+      },
+      groups: {
+        groupId: {
+          externalId: 'externalId',
+          model: 'notes',
+          overrides: null,
+          readOnly: {},
+          pads: { 'groupId$name': { text: 'text', html: 'html' } },
+          sessions: { userId: { sessionId: 'sessionId', expiration: 1 } },
+        },
+      },
+    },
+  });
+});
+
+test('meeting removal', async () => {
+  await persistence.removeSession('meetingId', 'groupId', 'userId');
+  await persistence.removeUser('meetingId', 'userId');
+
+  const { meetingId } = await persistence.load();
+  expect(meetingId.users).toEqual({});
+  expect(meetingId.groups.groupId.sessions).toEqual({});
+
+  await persistence.removeMeeting('meetingId');
+  expect(await persistence.load()).toEqual({});
+});
@@ -0,0 +1,33 @@
+// In-memory persistence backend; state does not survive a restart
+const store = {};
+
+const hset = (key, field, value) => {
+  if (!store[key]) store[key] = {};
+  store[key][field] = value;
+
+  return Promise.resolve();
+};
+
+const hdel = (key, field) => {
+  if (store[key]) {
+    delete store[key][field];
+    if (Object.keys(store[key]).length === 0) delete store[key];
+  }
+
+  return Promise.resolve();
+};
+
+const hgetall = (key) => Promise.resolve(store[key] ? { ...store[key] } : {});
+
+const del = (key) => {
+  delete store[key];
+
+  return Promise.resolve();
+};
+
+module.exports = {
+  hset,
+  hdel,
+  hgetall,
+  del,
+};
@@ -0,0 +1,37 @@
+const redis = require('redis');
+const { options } = require('../redis/utils');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('persistence');
+
+const client = redis.createClient(options);
+
+const run = (command, ...args) => {
+  return new Promise((resolve, reject) => {
+    client[command](...args, (error, reply) => {
+      if (error) {
+        logger.error(command, { key: args[0], message: error.message });
+
+        return reject();
+      }
+
+      resolve(reply);
+    });
+  });
+};
+
+const hset = (key, field, value) => run('hset', key, field, value);
+
+const hdel = (key, field) => run('hdel', key, field);
+
+// Redis replies null for missing keys
+const hgetall = (key) => run('hgetall', key).then(reply => reply || {});
+
+const del = (key) => run('del', key);
+
+module.exports = {
+  hset,
+  hdel,
+  hgetall,
+  del,
+};
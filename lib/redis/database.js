@@ -2,24 +2,64 @@ const _ = require('lodash');
 const { diff } = require('@mconf/bbb-diff');
 const config = require('../../config');
 const mapper = require('./mapper');
+const models = require('./models');
+const analytics = require('../analytics');
+const captions = require('../captions');
+const processors = require('../captions/processors');
 const sender = require('./sender');
 const { memory } = require('./utils');
 const api = require('../etherpad/api');
+const changeset = require('../etherpad/changeset');
+const renderer = require('../etherpad/html');
+const token = require('../utils/token');
+const persistence = require('../persistence');
+const retention = require('../utils/retention');
+const templates = require('../templates');
 const {
   ids,
   roles,
 } = require('../utils/constants');
 const Logger = require('../utils/logger');
+const {
+  registerAvoidedCall,
+  registerResync,
+} = require('../utils/prometheus');
 
 const logger = new Logger('database');
 
-const { etherpad: settings, models } = config;
+const { etherpad: settings } = config;
 
-const MODELS = models;
+const { local: LOCAL = true } = settings.update;
 
 const database = {};
 
-const buildExpiration = () => Date.now() + settings.session.ttl;
+// Models may override the default session TTL
+const getTTL = (model) => {
+  const { session } = models.get(model);
+  if (session && session.ttl) return session.ttl;
+
+  return settings.session.ttl;
+};
+
+const buildExpiration = (model) => Date.now() + getTTL(model);
+
+const buildPad = ({ text = '', html = '' } = {}) => {
+  return {
+    text,
+    html,
+    // Local copy of the pad's document, kept in sync by its changesets
+    document: null,
+    pool: null,
+    rev: null,
+    // Text and attributes to rebuild the document from, once its pool is known
+    resync: null,
+    change: onPadChange,
+    update: _.throttle(onPadUpdate, settings.update.throttle, {
+      leading: false,
+      trailing: true,
+    }),
+  };
+};
 
 const findGroup = (meetingId, { externalId, model }) => {
   if (hasMeeting(meetingId)) {
@@ -35,6 +75,25 @@ const findGroup = (meetingId, { externalId, model }) => {
   return null;
 };
 
+const parsePadName = (padId) => padId.split('$')[1];
+
+// Same pad in the parent meeting of a breakout room
+const findParentPad = (meetingId, groupId, padId) => {
+  const { parentId } = database[meetingId];
+  if (!parentId) return null;
+
+  const { externalId, model } = database[meetingId].groups[groupId];
+  const parentGroupId = findGroup(parentId, { externalId, model });
+  if (!parentGroupId) return null;
+
+  const parentPadId = `${parentGroupId}$${parsePadName(padId)}`;
+  if (!hasPad(parentId, parentGroupId, parentPadId)) return null;
+
+  return parentPadId;
+};
+
+const getMeetingIds = () => Object.keys(database);
+
 const getUserIds = (meetingId) => {
   if (hasMeeting(meetingId)) return Object.keys(database[meetingId].users);
 
@@ -107,12 +166,30 @@ const hasPad = (meetingId, groupId, padId) => {
   return false;
 };
 
+// User overrides win over role overrides, which win over the model's permission
+const getPermission = (meetingId, groupId, userId) => {
+  const {
+    model,
+    overrides,
+  } = database[meetingId].groups[groupId];
+  const { role } = database[meetingId].users[userId];
+
+  if (overrides) {
+    const {
+      users = {},
+      roles: overridden = {},
+    } = overrides;
+
+    if (typeof users[userId] === 'boolean') return users[userId];
+    if (typeof overridden[role] === 'boolean') return overridden[role];
+  }
+
+  return models.hasPermission(model, role);
+};
+
 const hasPermission = (meetingId, groupId, userId) => {
   if (hasGroup(meetingId, groupId) && hasUser(meetingId, userId)) {
-    const { model } = database[meetingId].groups[groupId];
-    const { role } = database[meetingId].users[userId];
-
-    if (MODELS[model].permission[role]) return true;
+    if (getPermission(meetingId, groupId, userId)) return true;
 
     logger.warn('permission', 'missing', { meetingId, groupId, userId });
   }
@@ -123,7 +200,7 @@ const hasPermission = (meetingId, groupId, userId) => {
 const hasCapacity = (meetingId, groupId) => {
   if (hasGroup(meetingId, groupId)) {
     const { model } = database[meetingId].groups[groupId];
-    const { capacity } = MODELS[model];
+    const { capacity } = models.get(model);
     if (capacity === 0) return true;
 
     const sessions = getSessions(meetingId, groupId);
@@ -156,34 +233,150 @@ const isViewer = (meetingId, userId) => {
   return false;
 };
 
-const areNotes = (meetingId, groupId) => {
+const getModel = (meetingId, groupId) => {
   if (hasGroup(meetingId, groupId)) {
     const { model } = database[meetingId].groups[groupId];
 
-    return model === MODELS.notes.id;
+    return models.get(model);
   }
 
-  return false;
+  return null;
 };
 
-const areCaptions = (meetingId, groupId) => {
-  if (hasGroup(meetingId, groupId)) {
-    const { model } = database[meetingId].groups[groupId];
+const isLockable = (meetingId, groupId) => {
+  const model = getModel(meetingId, groupId);
+
+  return model !== null && model.lock !== models.actions.IGNORE;
+};
+
+const isReadOnly = (meetingId, groupId) => {
+  const model = getModel(meetingId, groupId);
+
+  return model !== null && model.lock === models.actions.READ_ONLY;
+};
+
+// Viewers are locked out when both the meeting and themselves are locked
+const isLockedOut = (meetingId, groupId, userId) => {
+  return isLockable(meetingId, groupId)
+    && isViewer(meetingId, userId)
+    && isMeetingLocked(meetingId)
+    && isUserLocked(meetingId, userId);
+};
+
+const hasReadOnly = (meetingId, groupId, userId) => {
+  return hasGroup(meetingId, groupId) && Boolean(database[meetingId].groups[groupId].readOnly[userId]);
+};
+
+const fetchReadOnly = (meetingId, padIds) => {
+  const promises = padIds.map(padId => api.call('getReadOnlyID', { padID: padId }, meetingId).then(response => {
+    return [padId, response.readOnlyID];
+  }));
+
+  return Promise.all(promises);
+};
+
+// Replace the user's session with the read-only ids of the group's pads
+const grantReadOnly = (meetingId, groupId, userId) => {
+  return deleteSession(meetingId, groupId, userId).then(() => {
+    return fetchReadOnly(meetingId, getPadIds(meetingId, groupId));
+  }).then(entries => {
+    // Permission might have been lost while fetching
+    if (!hasPermission(meetingId, groupId, userId)) return;
+
+    const pads = Object.fromEntries(entries);
+    database[meetingId].groups[groupId].readOnly[userId] = pads;
+    logger.trace(ids.SESSION, 'read-only', { meetingId, groupId, userId });
+
+    persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+
+    sender.send('readOnlyGranted', meetingId, { groupId, userId, pads });
+  });
+};
+
+const revokeReadOnly = (meetingId, groupId, userId) => {
+  delete database[meetingId].groups[groupId].readOnly[userId];
+  logger.trace(ids.SESSION, 'read-only revoked', { meetingId, groupId, userId });
+
+  persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+
+  sender.send('readOnlyRevoked', meetingId, { groupId, userId });
+};
+
+// Pads created after read-only access was granted are shared along
+const extendReadOnly = (meetingId, groupId, padId) => {
+  const { readOnly } = database[meetingId].groups[groupId];
+  if (Object.keys(readOnly).length === 0) return Promise.resolve();
+
+  return api.call('getReadOnlyID', { padID: padId }, meetingId).then(({ readOnlyID: readOnlyId }) => {
+    if (!hasPad(meetingId, groupId, padId)) return;
+
+    Object.entries(readOnly).forEach(([userId, pads]) => {
+      pads[padId] = readOnlyId;
+
+      sender.send('readOnlyGranted', meetingId, { groupId, userId, pads });
+    });
+
+    persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+  }).catch(() => logger.error(ids.PAD, 'extending read-only', { meetingId, groupId, padId }));
+};
+
+// Give read-write access back to a user granted read-only access
+const restoreSession = (meetingId, groupId, userId) => {
+  delete database[meetingId].groups[groupId].readOnly[userId];
+  logger.trace(ids.SESSION, 'read-write', { meetingId, groupId, userId });
 
-    return model === MODELS.captions.id;
+  persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+
+  return createSession(meetingId, groupId, userId).catch(() => {
+    logger.error(ids.SESSION, 'restoring', { meetingId, groupId, userId });
+  });
+};
+
+// Apply the model's lock reaction to a locked-out user's session, read-only only for users allowed to read
+const onLock = (meetingId, groupId, userId) => {
+  if (isReadOnly(meetingId, groupId) && hasPermission(meetingId, groupId, userId)) {
+    return grantReadOnly(meetingId, groupId, userId);
   }
 
-  return false;
+  return deleteSession(meetingId, groupId, userId);
 };
 
-// Remove notes' sessions from locked-viewer-users
+// Restore read-write access of users no longer locked out
+const onUnlock = (meetingId, userIds) => {
+  const groupIds = getGroupIds(meetingId);
+  const promises = groupIds.reduce((result, groupId) => {
+    userIds.forEach(userId => {
+      if (hasReadOnly(meetingId, groupId, userId) && !isLockedOut(meetingId, groupId, userId)) {
+        result.push(restoreSession(meetingId, groupId, userId));
+      }
+    });
+
+    return result;
+  }, []);
+
+  return promises;
+};
+
+const hasPatches = (meetingId, groupId) => {
+  const model = getModel(meetingId, groupId);
+
+  return model !== null && model.update.patch;
+};
+
+const hasContent = (meetingId, groupId) => {
+  const model = getModel(meetingId, groupId);
+
+  return model !== null && model.update.content;
+};
+
+// Lock lockable models' sessions of locked-viewer-users
 const onMeetingLock = (meetingId) => {
   const userIds = getUserIds(meetingId);
   const promises = userIds.reduce((result, userId) => {
     if (isViewer(meetingId, userId) && isUserLocked(meetingId, userId)) {
       const groupIds = getGroupIds(meetingId);
       groupIds.forEach(groupId => {
-        if (areNotes(meetingId, groupId)) result.push(deleteSession(meetingId, groupId, userId))
+        if (isLockable(meetingId, groupId)) result.push(onLock(meetingId, groupId, userId))
       });
     }
 
@@ -193,12 +386,12 @@ const onMeetingLock = (meetingId) => {
   return promises;
 };
 
-// Remove notes' sessions from locked-meeting viewer-user
+// Lock lockable models' sessions of locked-meeting viewer-user
 const onUserLock = (meetingId, userId) => {
   if (isMeetingLocked(meetingId) && isViewer(meetingId, userId)) {
     const groupIds = getGroupIds(meetingId);
     const promises = groupIds.reduce((result, groupId) => {
-      if (areNotes(meetingId, groupId)) result.push(deleteSession(meetingId, groupId, userId));
+      if (isLockable(meetingId, groupId)) result.push(onLock(meetingId, groupId, userId));
 
       return result;
     }, []);
@@ -209,19 +402,24 @@ const onUserLock = (meetingId, userId) => {
   return [];
 };
 
-// Remove notes' sessions from locked-meeting locked-user
-// Remove captions' sessions from user
+// Apply each model's demotion rule to the user's sessions
 const onUserDemote = (meetingId, userId) => {
   const meetingLocked = isMeetingLocked(meetingId);
   const userLocked = isUserLocked(meetingId, userId);
   const groupIds = getGroupIds(meetingId);
   const promises = groupIds.reduce((result, groupId) => {
-    if (areNotes(meetingId, groupId)) {
-      if (meetingLocked && userLocked) {
+    const { demote } = getModel(meetingId, groupId);
+
+    switch (demote) {
+      case models.actions.REVOKE:
         result.push(deleteSession(meetingId, groupId, userId));
-      }
-    } else if (areCaptions(meetingId, groupId)) {
-      result.push(deleteSession(meetingId, groupId, userId));
+        break;
+      case models.actions.LOCK:
+        if (meetingLocked && userLocked && isLockable(meetingId, groupId)) {
+          result.push(onLock(meetingId, groupId, userId));
+        }
+        break;
+      default:
     }
 
     return result;
@@ -236,7 +434,7 @@ const onSessionCreate = (meetingId, groupId) => {
   if (!hasCapacity(meetingId, groupId)) {
     const sessions = getSessions(meetingId, groupId);
     const { model } = database[meetingId].groups[groupId];
-    const excess = sessions.length - MODELS[model].capacity + 1;
+    const excess = sessions.length - models.get(model).capacity + 1;
     sessions.sort((a, b) => {
       const first = database[meetingId].groups[groupId].sessions[a];
       const second = database[meetingId].groups[groupId].sessions[b];
@@ -252,13 +450,77 @@ const onSessionCreate = (meetingId, groupId) => {
   return [];
 };
 
+// Pads are either always rendered locally or always by Etherpad, since mixing
+// both would turn their slight markup differences into whole content changes
+const isLocal = (meetingId, pad) => LOCAL && (pad.pool !== null || api.supports('getAttributePool', meetingId));
+
+// Pools missing from updates have to be fetched to read the pad's attributes
+const rebuild = (meetingId, padId, pad) => {
+  if (pad.document) return Promise.resolve(pad.document);
+
+  if (!pad.resync) return Promise.reject();
+
+  return api.call('getAttributePool', { padID: padId }, meetingId).then(({ pool }) => {
+    pad.pool = pool;
+    pad.document = changeset.deserialize(pad.resync, pool);
+    if (!pad.document) return Promise.reject();
+
+    pad.resync = null;
+
+    return pad.document;
+  });
+};
+
+const fetchHTML = (meetingId, groupId, padId, rev) => {
+  const pad = database[meetingId].groups[groupId].pads[padId];
+  if (!isLocal(meetingId, pad)) return api.call('getHTML', { padID: padId, rev }, meetingId).then(({ html }) => html);
+
+  return rebuild(meetingId, padId, pad).then(document => {
+    registerAvoidedCall('getHTML');
+
+    return renderer.render(document);
+  });
+};
+
+// Applies the update's changeset to the local copy, resyncing from its pad on failure
+const syncPad = (meetingId, groupId, padId, {
+  rev,
+  changeset: cs,
+  atext,
+  pool,
+}) => {
+  if (!LOCAL) return;
+
+  const pad = database[meetingId].groups[groupId].pads[padId];
+  if (pool) pad.pool = pool;
+
+  let document = null;
+  let reason = 'gap';
+  if (pad.document && pad.rev !== null && rev === pad.rev + 1) {
+    document = changeset.apply(cs, pad.document, pad.pool);
+    if (document && atext && document.text !== atext.text) document = null;
+    reason = 'mismatch';
+  }
+
+  if (!document) {
+    registerResync(reason);
+    logger.debug(ids.PAD, 'resync', { meetingId, groupId, padId, rev, reason });
+
+    document = atext ? changeset.deserialize(atext, pad.pool) : null;
+  }
+
+  pad.resync = document ? null : atext || null;
+  pad.document = document;
+  pad.rev = rev;
+};
+
 const onPadUpdate = (meetingId, groupId, padId, rev) => {
-  if (hasGroup(meetingId, groupId)) {
-    api.call('getHTML', { padID: padId, rev }).then(response => {
-      const { html } = response;
+  if (hasGroup(meetingId, groupId) && hasContent(meetingId, groupId)) {
+    fetchHTML(meetingId, groupId, padId, rev).then(html => {
       const change = diff(database[meetingId].groups[groupId].pads[padId].html, html);
       if (change) {
         database[meetingId].groups[groupId].pads[padId].html = html;
+        persistence.savePad(meetingId, groupId, padId, database[meetingId].groups[groupId].pads[padId]);
         logger.info(ids.PAD, 'content', { meetingId, groupId, padId, rev, ...change });
 
         sender.send('padContent', meetingId, { groupId, padId, rev, ...change });
@@ -268,10 +530,14 @@ const onPadUpdate = (meetingId, groupId, padId, rev) => {
 };
 
 const onPadChange = (meetingId, groupId, padId, userId, text) => {
-  if (hasGroup(meetingId, groupId) && areCaptions(meetingId, groupId)) {
-    const change = diff(database[meetingId].groups[groupId].pads[padId].text, text);
+  if (hasGroup(meetingId, groupId) && hasPatches(meetingId, groupId)) {
+    const { model } = database[meetingId].groups[groupId];
+    const processed = processors.run(model, text, { meetingId, groupId, padId, userId });
+    const change = diff(database[meetingId].groups[groupId].pads[padId].text, processed);
     if (change) {
-      database[meetingId].groups[groupId].pads[padId].text = text;
+      database[meetingId].groups[groupId].pads[padId].text = processed;
+      persistence.savePad(meetingId, groupId, padId, database[meetingId].groups[groupId].pads[padId]);
+      captions.record(padId, processed, change);
       logger.trace(ids.PAD, 'patch', { meetingId, groupId, padId, userId, ...change });
 
       sender.send('padPatch', meetingId, { groupId, padId, userId, ...change });
@@ -302,6 +568,8 @@ const isUserLocked = (meetingId, userId) => {
 const createMeeting = ({
   meetingId,
   locked,
+  name = null,
+  parentId = null,
 }) => {
   return new Promise((resolve, reject) => {
     if (database[meetingId]) {
@@ -310,13 +578,22 @@ const createMeeting = ({
       return reject();
     }
 
+    // Breakout rooms share their parent's backend for seeding and merging
+    const parent = parentId ? database[parentId] : null;
+    const backend = api.assign(meetingId, parent ? parent.backend : null);
+
     database[meetingId] = {
       locked,
+      name,
+      parentId,
+      backend,
       users: {},
       groups: {},
     };
 
-    logger.trace(ids.MEETING, 'created', { meetingId });
+    logger.trace(ids.MEETING, 'created', { meetingId, parentId, backend });
+
+    persistence.saveMeeting(meetingId, database[meetingId]);
 
     resolve(database[meetingId]);
   });
@@ -334,6 +611,11 @@ const deleteMeeting = (meetingId) => {
         delete database[meetingId];
         logger.trace(ids.MEETING, 'deleted', { meetingId });
 
+        api.release(meetingId);
+
+        persistence.removeMeeting(meetingId);
+        analytics.remove(meetingId);
+
         resolve();
       };
 
@@ -361,6 +643,8 @@ const lockMeeting = (meetingId) => {
         database[meetingId].locked = true;
         logger.trace(ids.MEETING, 'locked', { meetingId });
 
+        persistence.saveMeeting(meetingId, database[meetingId]);
+
         resolve();
       };
 
@@ -385,7 +669,9 @@ const unlockMeeting = (meetingId) => {
       database[meetingId].locked = false;
       logger.trace(ids.MEETING, 'unlocked', { meetingId });
 
-      resolve();
+      persistence.saveMeeting(meetingId, database[meetingId]);
+
+      Promise.all(onUnlock(meetingId, getUserIds(meetingId))).then(() => resolve());
     } else {
       reject();
     }
@@ -406,7 +692,7 @@ const createUser = (meetingId, {
         return reject();
       }
 
-      api.call('createAuthorIfNotExistsFor', { authorMapper: userId, name }).then(response => {
+      api.call('createAuthorIfNotExistsFor', { authorMapper: userId, name }, meetingId).then(response => {
         const authorId = response.authorID;
         database[meetingId].users[userId] = {
           authorId,
@@ -419,6 +705,8 @@ const createUser = (meetingId, {
 
         mapper.createUser(meetingId, userId, authorId);
 
+        persistence.saveUser(meetingId, userId, database[meetingId].users[userId]);
+
         resolve(database[meetingId].users[userId]);
       }).catch(() => {
         logger.error(ids.USER, 'creating', { meetingId, userId });
@@ -438,12 +726,21 @@ const deleteUser = (meetingId, { userId }) => {
       const promises = groupIds.map(groupId => deleteSession(meetingId, groupId, userId));
 
       const update = () => {
+        groupIds.forEach(groupId => {
+          if (hasReadOnly(meetingId, groupId, userId)) {
+            delete database[meetingId].groups[groupId].readOnly[userId];
+            persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+          }
+        });
+
         const { authorId } = database[meetingId].users[userId];
         mapper.deleteUser(authorId);
 
         delete database[meetingId].users[userId];
         logger.trace(ids.USER, 'deleted', { meetingId, userId, authorId });
 
+        persistence.removeUser(meetingId, userId);
+
         resolve();
       };
 
@@ -471,6 +768,8 @@ const lockUser = (meetingId, { userId }) => {
         database[meetingId].users[userId].locked = true;
         logger.trace(ids.USER, 'locked', { meetingId, userId });
 
+        persistence.saveUser(meetingId, userId, database[meetingId].users[userId]);
+
         resolve();
       };
 
@@ -495,7 +794,9 @@ const unlockUser = (meetingId, { userId }) => {
       database[meetingId].users[userId].locked = false;
       logger.trace(ids.USER, 'unlocked', { meetingId, userId });
 
-      resolve();
+      persistence.saveUser(meetingId, userId, database[meetingId].users[userId]);
+
+      Promise.all(onUnlock(meetingId, [userId])).then(() => resolve());
     } else {
       reject();
     }
@@ -508,7 +809,10 @@ const promoteUser = (meetingId, { userId }) => {
       database[meetingId].users[userId].role = roles.MODERATOR;
       logger.trace(ids.USER, 'promoted', { meetingId, userId });
 
-      resolve();
+      persistence.saveUser(meetingId, userId, database[meetingId].users[userId]);
+
+      // Locks only apply to viewers
+      Promise.all(onUnlock(meetingId, [userId])).then(() => resolve());
     } else {
       reject();
     }
@@ -524,6 +828,8 @@ const demoteUser = (meetingId, { userId }) => {
         database[meetingId].users[userId].role = roles.VIEWER;
         logger.trace(ids.USER, 'demoted', { meetingId, userId });
 
+        persistence.saveUser(meetingId, userId, database[meetingId].users[userId]);
+
         resolve();
       };
 
@@ -548,23 +854,33 @@ const createGroup = (meetingId, {
 }) => {
   return new Promise((resolve, reject) => {
     if (hasMeeting(meetingId)) {
+      if (!models.has(model)) {
+        logger.warn(ids.GROUP, 'unknown model', { meetingId, externalId, model });
+
+        return reject();
+      }
+
       if (findGroup(meetingId, { externalId, model })) {
         logger.warn(ids.GROUP, 'duplicated', { meetingId, externalId, model });
 
         return reject();
       }
 
-      api.call('createGroup').then(response => {
+      api.call('createGroup', {}, meetingId).then(response => {
         const groupId = response.groupID;
         database[meetingId].groups[groupId] = {
           externalId,
           model,
+          overrides: null,
+          readOnly: {},
           pads: {},
           sessions: {},
         };
 
         logger.trace(ids.GROUP, 'created', { meetingId, externalId, groupId, model });
 
+        persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+
         sender.send('groupCreated', meetingId, { externalId, groupId });
 
         resolve(database[meetingId].groups[groupId]);
@@ -579,6 +895,61 @@ const createGroup = (meetingId, {
   });
 };
 
+const buildPermissions = (meetingId, groupId) => {
+  const { overrides } = database[meetingId].groups[groupId];
+
+  return {
+    overrides,
+    users: getUserIds(meetingId).reduce((result, userId) => {
+      result[userId] = getPermission(meetingId, groupId, userId);
+
+      return result;
+    }, {}),
+  };
+};
+
+// Overrides replace the previous ones, sessions and read-only access lost are removed
+const updateGroupPermissions = (meetingId, groupId, {
+  userId,
+  overrides,
+}) => {
+  return new Promise((resolve, reject) => {
+    if (hasGroup(meetingId, groupId) && isModerator(meetingId, userId)) {
+      const {
+        roles: overridden = {},
+        users = {},
+      } = overrides || {};
+
+      database[meetingId].groups[groupId].overrides = overrides ? { roles: overridden, users } : null;
+      logger.trace(ids.GROUP, 'permissions', { meetingId, groupId, userId, overrides });
+
+      Object.keys(database[meetingId].groups[groupId].readOnly).forEach(reader => {
+        if (!hasPermission(meetingId, groupId, reader)) revokeReadOnly(meetingId, groupId, reader);
+      });
+
+      persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+
+      const sessions = getSessions(meetingId, groupId);
+      const promises = sessions.reduce((result, session) => {
+        if (!hasPermission(meetingId, groupId, session)) result.push(deleteSession(meetingId, groupId, session));
+
+        return result;
+      }, []);
+
+      Promise.all(promises).catch(() => {
+        logger.error(ids.GROUP, 'revoking', { meetingId, groupId });
+      }).then(() => {
+        const permissions = buildPermissions(meetingId, groupId);
+        sender.send('groupPermissionsUpdated', meetingId, { groupId, ...permissions });
+
+        resolve(permissions);
+      });
+    } else {
+      reject();
+    }
+  });
+};
+
 const deleteGroup = (meetingId, { groupId }) => {
   return new Promise((resolve, reject) => {
     if (hasGroup(meetingId, groupId)) {
@@ -591,6 +962,10 @@ const deleteGroup = (meetingId, { groupId }) => {
         delete database[meetingId].groups[groupId];
         logger.trace(ids.GROUP, 'deleted', { meetingId, groupId });
 
+        persistence.removeGroup(meetingId, groupId);
+
+        retention.schedule(meetingId, groupId, padIds);
+
         resolve();
       };
 
@@ -609,7 +984,27 @@ const deleteGroup = (meetingId, { groupId }) => {
   });
 };
 
-const createPad = (meetingId, groupId, { name }) => {
+const buildVariables = (meetingId) => {
+  const { name, users } = database[meetingId];
+  const moderators = Object.values(users).filter(user => user.role === roles.MODERATOR);
+
+  return {
+    meeting: name,
+    date: new Date().toISOString().slice(0, 10),
+    moderators: moderators.map(user => user.name).join(', '),
+  };
+};
+
+// Request's template first, then the model's
+const getTemplate = (meetingId, groupId, template) => {
+  const model = getModel(meetingId, groupId);
+  const name = template || (model && model.template);
+  if (!name) return null;
+
+  return templates.render(name, buildVariables(meetingId));
+};
+
+const createPad = (meetingId, groupId, { name, template }) => {
   return new Promise((resolve, reject) => {
     if (hasGroup(meetingId, groupId)) {
       const padId = `${groupId}$${name}`;
@@ -619,26 +1014,40 @@ const createPad = (meetingId, groupId, { name }) => {
         return reject();
       }
 
-      api.call('createGroupPad', {
+      const rendered = getTemplate(meetingId, groupId, template);
+      const params = {
         groupID: groupId,
         padName: name,
+      };
+
+      // HTML templates can only be set once the pad exists
+      if (rendered && rendered.type === templates.types.TEXT) params.text = rendered.content;
+
+      api.call('createGroupPad', params, meetingId).then(() => {
+        if (rendered && rendered.type === templates.types.HTML) {
+          return api.call('setHTML', { padID: padId, html: rendered.content }, meetingId).catch(() => {
+            logger.error(ids.PAD, 'templating', { meetingId, padId, template });
+          });
+        }
+
+        return null;
       }).then(() => {
-        database[meetingId].groups[groupId].pads[padId] = {
-          text: '',
-          html: '',
-          change: onPadChange,
-          update: _.throttle(onPadUpdate, settings.update.throttle, {
-            leading: false,
-            trailing: true,
-          }),
-        };
+        database[meetingId].groups[groupId].pads[padId] = buildPad();
 
         logger.trace(ids.PAD, 'created', { meetingId, groupId, padId });
 
+        if (hasPatches(meetingId, groupId)) captions.create(padId);
+
         mapper.createPad(meetingId, groupId, padId);
 
+        persistence.savePad(meetingId, groupId, padId, database[meetingId].groups[groupId].pads[padId]);
+
         sender.send('padCreated', meetingId, { groupId, padId, name });
 
+        seedPad(meetingId, groupId, padId);
+
+        extendReadOnly(meetingId, groupId, padId);
+
         resolve(database[meetingId].groups[groupId].pads[padId]);
       }).catch(() => {
         logger.error(ids.PAD, 'creating', { meetingId, padId });
@@ -656,10 +1065,11 @@ const appendText = (meetingId, groupId, { name, text }) => {
     if (hasGroup(meetingId, groupId)) {
       const padId = `${groupId}$${name}`;
       if (hasPad(meetingId, groupId, padId)) {
-        api.call('appendText', {
-          padID: padId,
-          text,
-        }).then(() => resolve()).catch(() => {
+        const { model } = database[meetingId].groups[groupId];
+        const { text: previous } = database[meetingId].groups[groupId].pads[padId];
+
+        const processed = processors.run(model, text, { meetingId, groupId, padId, previous });
+        api.append(padId, processed, meetingId).then(() => resolve()).catch(() => {
           logger.error(ids.PAD, 'appending', { meetingId, padId });
 
           reject();
@@ -671,16 +1081,230 @@ const appendText = (meetingId, groupId, { name, text }) => {
   });
 };
 
+// Moderator-only pad commands, resolving to the pad's id
+const checkModerator = (meetingId, groupId, { name, userId }, action) => {
+  const padId = `${groupId}$${name}`;
+  if (!hasPad(meetingId, groupId, padId)) return null;
+
+  if (!isModerator(meetingId, userId)) {
+    logger.warn(ids.PAD, `${action} not allowed`, { meetingId, padId, userId });
+
+    return null;
+  }
+
+  return padId;
+};
+
+const clearPad = (meetingId, groupId, { name, userId }) => {
+  return new Promise((resolve, reject) => {
+    const padId = checkModerator(meetingId, groupId, { name, userId }, 'clear');
+    if (!padId) return reject();
+
+    api.call('setText', { padID: padId, text: '' }, meetingId).then(() => {
+      logger.trace(ids.PAD, 'cleared', { meetingId, groupId, padId, userId });
+
+      sender.send('padCleared', meetingId, { groupId, padId, userId });
+
+      resolve();
+    }).catch(() => {
+      logger.error(ids.PAD, 'clearing', { meetingId, padId });
+
+      reject();
+    });
+  });
+};
+
+const removePad = (meetingId, groupId, { name, userId }) => {
+  return new Promise((resolve, reject) => {
+    const padId = checkModerator(meetingId, groupId, { name, userId }, 'delete');
+    if (!padId) return reject();
+
+    api.call('deletePad', { padID: padId }, meetingId).then(() => {
+      const { readOnly } = database[meetingId].groups[groupId];
+      Object.values(readOnly).forEach(pads => delete pads[padId]);
+      deletePad(meetingId, groupId, padId);
+      analytics.removePad(meetingId, padId);
+
+      persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+
+      sender.send('padDeleted', meetingId, { groupId, padId, userId });
+
+      resolve();
+    }).catch(() => {
+      logger.error(ids.PAD, 'deleting', { meetingId, padId });
+
+      reject();
+    });
+  });
+};
+
+// Read-only ids do not follow moved pads
+const moveReadOnly = (meetingId, groupId, padId, newPadId) => {
+  const { readOnly } = database[meetingId].groups[groupId];
+  const userIds = Object.keys(readOnly).filter(userId => readOnly[userId][padId]);
+  if (userIds.length === 0) return Promise.resolve();
+
+  return api.call('getReadOnlyID', { padID: newPadId }, meetingId).then(({ readOnlyID: readOnlyId }) => {
+    userIds.forEach(userId => {
+      const pads = readOnly[userId];
+      delete pads[padId];
+      pads[newPadId] = readOnlyId;
+
+      sender.send('readOnlyGranted', meetingId, { groupId, userId, pads });
+    });
+
+    persistence.saveGroup(meetingId, groupId, database[meetingId].groups[groupId]);
+  }).catch(() => logger.error(ids.PAD, 'moving read-only', { meetingId, padId, newPadId }));
+};
+
+const renamePad = (meetingId, groupId, {
+  name,
+  newName,
+  userId,
+}) => {
+  return new Promise((resolve, reject) => {
+    const padId = checkModerator(meetingId, groupId, { name, userId }, 'rename');
+    if (!padId) return reject();
+
+    if (typeof newName !== 'string' || newName.length === 0 || newName === name) {
+      logger.warn(ids.PAD, 'invalid name', { meetingId, padId, newName });
+
+      return reject();
+    }
+
+    const newPadId = `${groupId}$${newName}`;
+    if (database[meetingId].groups[groupId].pads[newPadId]) {
+      logger.warn(ids.PAD, 'duplicated', { meetingId, padId: newPadId });
+
+      return reject();
+    }
+
+    api.call('movePad', { sourceID: padId, destinationID: newPadId }, meetingId).then(() => {
+      const { pads } = database[meetingId].groups[groupId];
+      pads[newPadId] = pads[padId];
+      delete pads[padId];
+
+      mapper.deletePad(padId);
+      mapper.createPad(meetingId, groupId, newPadId);
+
+      captions.move(padId, newPadId);
+
+      analytics.move(meetingId, padId, newPadId);
+
+      persistence.removePad(meetingId, groupId, padId);
+      persistence.savePad(meetingId, groupId, newPadId, pads[newPadId]);
+      logger.trace(ids.PAD, 'renamed', { meetingId, groupId, padId, newPadId });
+
+      sender.send('padRenamed', meetingId, { groupId, padId, newPadId, name: newName, userId });
+
+      return moveReadOnly(meetingId, groupId, padId, newPadId);
+    }).then(() => resolve(newPadId)).catch(() => {
+      logger.error(ids.PAD, 'renaming', { meetingId, padId, newPadId });
+
+      reject();
+    });
+  });
+};
+
+// Breakout room pads start with their parent's content
+const seedPad = (meetingId, groupId, padId) => {
+  const model = getModel(meetingId, groupId);
+  if (model === null || !model.breakout.seed) return Promise.resolve();
+
+  const parentPadId = findParentPad(meetingId, groupId, padId);
+  if (!parentPadId) return Promise.resolve();
+
+  const { parentId } = database[meetingId];
+
+  return api.call('getHTML', { padID: parentPadId }, parentId).then(({ html }) => {
+    return api.call('setHTML', { padID: padId, html }, meetingId);
+  }).then(() => {
+    logger.trace(ids.PAD, 'seeded', { meetingId, padId, parentPadId });
+  }).catch(() => logger.error(ids.PAD, 'seeding', { meetingId, padId, parentPadId }));
+};
+
+const mergePad = (meetingId, padId, parentPadId) => {
+  const {
+    name,
+    parentId,
+  } = database[meetingId];
+
+  return api.call('getText', { padID: padId }, meetingId).then(({ text }) => {
+    if (text.trim().length === 0) return null;
+
+    // Room header keeps each breakout's notes apart in the parent pad
+    return api.append(parentPadId, `\n\n=== ${name || meetingId} ===\n${text}`, parentId).then(() => {
+      logger.trace(ids.PAD, 'merged', { meetingId, padId, parentPadId });
+    });
+  }).catch(() => logger.error(ids.PAD, 'merging', { meetingId, padId, parentPadId }));
+};
+
+// Append a breakout room's pads to its parent meeting's before it ends
+const mergeMeeting = (meetingId) => {
+  if (!hasMeeting(meetingId) || !database[meetingId].parentId) return Promise.resolve();
+
+  const groupIds = getGroupIds(meetingId);
+  const promises = groupIds.reduce((result, groupId) => {
+    const model = getModel(meetingId, groupId);
+    if (model === null || !model.breakout.merge) return result;
+
+    getPadIds(meetingId, groupId).forEach(padId => {
+      const parentPadId = findParentPad(meetingId, groupId, padId);
+      if (parentPadId) result.push(mergePad(meetingId, padId, parentPadId));
+    });
+
+    return result;
+  }, []);
+
+  return Promise.all(promises);
+};
+
+const createToken = (meetingId, groupId, {
+  name,
+  userId,
+  scope,
+}) => {
+  return new Promise((resolve, reject) => {
+    const padId = `${groupId}$${name}`;
+    if (hasPad(meetingId, groupId, padId) && hasPermission(meetingId, groupId, userId)) {
+      const signed = token.sign({
+        scope,
+        meetingId,
+        padId,
+        userId,
+      });
+
+      logger.trace(ids.PAD, 'token', { meetingId, groupId, padId, userId, scope });
+
+      sender.send(`${scope}TokenCreated`, meetingId, { groupId, padId, userId, ...signed });
+
+      resolve();
+    } else {
+      reject();
+    }
+  });
+};
+
 const deletePad = (meetingId, groupId, padId) => {
   if (hasPad(meetingId, groupId, padId)) {
     mapper.deletePad(padId);
+    captions.remove(padId);
 
     delete database[meetingId].groups[groupId].pads[padId];
     logger.trace(ids.PAD, 'deleted', { meetingId, groupId, padId });
+
+    persistence.removePad(meetingId, groupId, padId);
   }
 };
 
-const updatePad = (padId, { authorId, rev, changeset, text }) => {
+const updatePad = (padId, {
+  authorId,
+  rev,
+  changeset: cs,
+  text,
+  atext,
+  pool,
+}) => {
   return new Promise((resolve, reject) => {
     const user = authorId ? mapper.getUser(authorId) : { userId: 'system' };
     const pad = mapper.getPad(padId);
@@ -691,10 +1315,15 @@ const updatePad = (padId, { authorId, rev, changeset, text }) => {
         groupId,
       } = pad;
 
+      const { name } = database[meetingId].users[userId] || {};
+      analytics.record(meetingId, padId, { userId, name }, cs);
+
+      syncPad(meetingId, groupId, padId, { rev, changeset: cs, atext, pool });
+
       database[meetingId].groups[groupId].pads[padId].change(meetingId, groupId, padId, userId, text);
       database[meetingId].groups[groupId].pads[padId].update(meetingId, groupId, padId, rev);
 
-      sender.send('padUpdated', meetingId, { groupId, padId, userId, rev, changeset });
+      sender.send('padUpdated', meetingId, { groupId, padId, userId, rev, changeset: cs });
 
       resolve(database[meetingId].groups[groupId].pads[padId]);
     } else {
@@ -706,6 +1335,15 @@ const updatePad = (padId, { authorId, rev, changeset, text }) => {
 const createSession = (meetingId, groupId, userId) => {
   return new Promise((resolve, reject) => {
     if (hasPermission(meetingId, groupId, userId)) {
+      // Locked-out users of read-only models only get the pads' read-only ids
+      if (isReadOnly(meetingId, groupId) && isLockedOut(meetingId, groupId, userId)) {
+        return grantReadOnly(meetingId, groupId, userId).then(() => resolve()).catch(() => {
+          logger.error(ids.SESSION, 'read-only', { meetingId, groupId, userId });
+
+          reject();
+        });
+      }
+
       if (database[meetingId].groups[groupId].sessions[userId]) {
         logger.warn(ids.SESSION, 'duplicated', { meetingId, groupId, userId });
 
@@ -722,12 +1360,13 @@ const createSession = (meetingId, groupId, userId) => {
 
       const update = () => {
         const { authorId } = database[meetingId].users[userId];
-        const expiration = buildExpiration();
+        const { model } = database[meetingId].groups[groupId];
+        const expiration = buildExpiration(model);
         api.call('createSession', {
           groupID: groupId,
           authorID: authorId,
           validUntil: expiration,
-        }).then(response => {
+        }, meetingId).then(response => {
           const sessionId = response.sessionID;
           database[meetingId].groups[groupId].sessions[userId] = {
             sessionId,
@@ -736,6 +1375,8 @@ const createSession = (meetingId, groupId, userId) => {
 
           logger.trace(ids.SESSION, 'created', { meetingId, groupId, userId, sessionId });
 
+          persistence.saveSession(meetingId, groupId, userId, database[meetingId].groups[groupId].sessions[userId]);
+
           sender.send('sessionCreated', meetingId, { groupId, userId, sessionId });
 
           resolve(database[meetingId].groups[groupId].sessions[userId]);
@@ -757,10 +1398,12 @@ const deleteSession = (meetingId, groupId, userId) => {
   return new Promise((resolve, reject) => {
     if (hasSession(meetingId, groupId, userId)) {
       const { sessionId } = database[meetingId].groups[groupId].sessions[userId];
-      api.call('deleteSession', { sessionID: sessionId }).then(() => {
+      api.call('deleteSession', { sessionID: sessionId }, meetingId).then(() => {
         delete database[meetingId].groups[groupId].sessions[userId];
         logger.trace(ids.SESSION, 'deleted', { meetingId, groupId, userId, sessionId });
 
+        persistence.removeSession(meetingId, groupId, userId);
+
         sender.send('sessionDeleted', meetingId, { groupId, userId, sessionId });
 
         resolve();
@@ -775,10 +1418,282 @@ const deleteSession = (meetingId, groupId, userId) => {
   });
 };
 
+// Replace a session before it expires, the old one is removed afterwards
+const renewSession = (meetingId, groupId, userId) => {
+  return new Promise((resolve, reject) => {
+    // Sessions of users who lost permission are not renewed but removed, even if Etherpad already expired them
+    if (hasSession(meetingId, groupId, userId) && !hasPermission(meetingId, groupId, userId)) {
+      logger.trace(ids.SESSION, 'not renewed', { meetingId, groupId, userId });
+
+      return deleteSession(meetingId, groupId, userId).catch(() => {
+        dropSession(meetingId, groupId, userId);
+      }).then(() => resolve(null));
+    }
+
+    if (hasSession(meetingId, groupId, userId) && hasPermission(meetingId, groupId, userId)) {
+      const { sessionId: previousId } = database[meetingId].groups[groupId].sessions[userId];
+      const { authorId } = database[meetingId].users[userId];
+      const { model } = database[meetingId].groups[groupId];
+      const expiration = buildExpiration(model);
+
+      api.call('createSession', {
+        groupID: groupId,
+        authorID: authorId,
+        validUntil: expiration,
+      }, meetingId).then(response => {
+        const sessionId = response.sessionID;
+
+        // The session might have been removed while renewing
+        if (!hasSession(meetingId, groupId, userId)) {
+          api.call('deleteSession', { sessionID: sessionId }, meetingId).catch(() => {
+            logger.error(ids.SESSION, 'deleting', { meetingId, groupId, userId, sessionId });
+          });
+
+          return reject();
+        }
+
+        database[meetingId].groups[groupId].sessions[userId] = {
+          sessionId,
+          expiration,
+        };
+
+        logger.trace(ids.SESSION, 'renewed', { meetingId, groupId, userId, sessionId, previousId });
+
+        persistence.saveSession(meetingId, groupId, userId, database[meetingId].groups[groupId].sessions[userId]);
+
+        sender.send('sessionCreated', meetingId, { groupId, userId, sessionId });
+
+        api.call('deleteSession', { sessionID: previousId }, meetingId).catch(() => {
+          logger.error(ids.SESSION, 'deleting', { meetingId, groupId, userId, sessionId: previousId });
+        });
+
+        resolve(database[meetingId].groups[groupId].sessions[userId]);
+      }).catch(() => {
+        logger.error(ids.SESSION, 'renewing', { meetingId, groupId, userId, sessionId: previousId });
+
+        reject();
+      });
+    } else {
+      reject();
+    }
+  });
+};
+
+// Sessions expiring until the given timestamp
+const getExpiringSessions = (until) => {
+  return Object.keys(database).reduce((result, meetingId) => {
+    getGroupIds(meetingId).forEach(groupId => {
+      const { sessions } = database[meetingId].groups[groupId];
+      Object.keys(sessions).forEach(userId => {
+        if (sessions[userId].expiration <= until) result.push({ meetingId, groupId, userId });
+      });
+    });
+
+    return result;
+  }, []);
+};
+
+// Snapshot of every pad of a meeting along with its group
+const getMeetingPads = (meetingId) => {
+  return getGroupIds(meetingId).reduce((result, groupId) => {
+    const {
+      externalId,
+      model,
+    } = database[meetingId].groups[groupId];
+
+    getPadIds(meetingId, groupId).forEach(padId => {
+      result.push({ groupId, externalId, model, padId });
+    });
+
+    return result;
+  }, []);
+};
+
+// Snapshot of every known group with its pads and sessions
+const getGroups = () => {
+  return Object.keys(database).reduce((result, meetingId) => {
+    getGroupIds(meetingId).forEach(groupId => {
+      const {
+        pads,
+        sessions,
+      } = database[meetingId].groups[groupId];
+
+      result[groupId] = {
+        meetingId,
+        padIds: Object.keys(pads),
+        sessions: _.mapValues(sessions, session => session.sessionId),
+      };
+    });
+
+    return result;
+  }, {});
+};
+
+// Take over a pad that exists at Etherpad but not locally
+const adoptPad = (meetingId, groupId, padId) => {
+  if (hasGroup(meetingId, groupId) && !database[meetingId].groups[groupId].pads[padId]) {
+    database[meetingId].groups[groupId].pads[padId] = buildPad();
+    logger.trace(ids.PAD, 'adopted', { meetingId, groupId, padId });
+
+    mapper.createPad(meetingId, groupId, padId);
+
+    persistence.savePad(meetingId, groupId, padId, database[meetingId].groups[groupId].pads[padId]);
+
+    return true;
+  }
+
+  return false;
+};
+
+// Take over a session that exists at Etherpad but not locally
+const adoptSession = (meetingId, groupId, userId, {
+  sessionId,
+  expiration,
+}) => {
+  if (hasPermission(meetingId, groupId, userId) && !database[meetingId].groups[groupId].sessions[userId]) {
+    database[meetingId].groups[groupId].sessions[userId] = {
+      sessionId,
+      expiration,
+    };
+
+    logger.trace(ids.SESSION, 'adopted', { meetingId, groupId, userId, sessionId });
+
+    persistence.saveSession(meetingId, groupId, userId, database[meetingId].groups[groupId].sessions[userId]);
+
+    return true;
+  }
+
+  return false;
+};
+
+// Forget a session that no longer exists at Etherpad
+const dropSession = (meetingId, groupId, userId) => {
+  if (hasSession(meetingId, groupId, userId)) {
+    const { sessionId } = database[meetingId].groups[groupId].sessions[userId];
+    delete database[meetingId].groups[groupId].sessions[userId];
+    logger.trace(ids.SESSION, 'dropped', { meetingId, groupId, userId, sessionId });
+
+    persistence.removeSession(meetingId, groupId, userId);
+  }
+};
+
+// Rebuild the database and mapper from the persisted state
+const restore = () => {
+  return persistence.load().then(meetings => {
+    Object.entries(meetings).forEach(([meetingId, meeting]) => {
+      if (database[meetingId]) return;
+
+      const {
+        locked,
+        name,
+        parentId,
+        backend,
+        users,
+        groups,
+      } = meeting;
+
+      database[meetingId] = {
+        locked,
+        name,
+        parentId,
+        backend: api.reassign(meetingId, backend),
+        users,
+        groups: {},
+      };
+
+      // Meetings from before backends were tracked, or from a dropped one
+      if (database[meetingId].backend !== backend) persistence.saveMeeting(meetingId, database[meetingId]);
+
+      Object.entries(users).forEach(([userId, { authorId }]) => {
+        mapper.createUser(meetingId, userId, authorId);
+      });
+
+      Object.entries(groups).forEach(([groupId, group]) => {
+        const {
+          externalId,
+          model,
+          overrides,
+          readOnly,
+          pads,
+          sessions,
+        } = group;
+
+        if (!models.has(model)) {
+          logger.warn(ids.GROUP, 'unknown model', { meetingId, groupId, model });
+
+          return;
+        }
+
+        database[meetingId].groups[groupId] = {
+          externalId,
+          model,
+          overrides,
+          readOnly,
+          pads: {},
+          sessions,
+        };
+
+        Object.entries(pads).forEach(([padId, pad]) => {
+          database[meetingId].groups[groupId].pads[padId] = buildPad(pad);
+          mapper.createPad(meetingId, groupId, padId);
+          if (hasPatches(meetingId, groupId)) captions.create(padId);
+        });
+      });
+
+      logger.info(ids.MEETING, 'restored', { meetingId });
+    });
+  });
+};
+
+// Contributions to one of the group's pads or to all of them
+const getStats = (meetingId, groupId, {
+  name,
+  userId,
+}) => {
+  return new Promise((resolve, reject) => {
+    if (hasGroup(meetingId, groupId)) {
+      if (!isModerator(meetingId, userId)) {
+        logger.warn(ids.GROUP, 'stats not allowed', { meetingId, groupId, userId });
+
+        return reject();
+      }
+
+      const padIds = name ? [`${groupId}$${name}`] : getPadIds(meetingId, groupId);
+      const stats = padIds.filter(padId => hasPad(meetingId, groupId, padId)).reduce((result, padId) => {
+        result[padId] = analytics.get(meetingId, padId);
+
+        return result;
+      }, {});
+
+      sender.send('stats', meetingId, { groupId, userId, stats });
+
+      resolve(stats);
+    } else {
+      reject();
+    }
+  });
+};
+
+const getPadId = (meetingId, groupId, name) => {
+  const padId = `${groupId}$${name}`;
+
+  return hasPad(meetingId, groupId, padId) ? padId : null;
+};
+
 const getSize = () => memory(database);
 
 module.exports = {
   getSize,
+  restore,
+  hasPermission,
+  isModerator,
+  getMeetingIds,
+  getPadId,
+  getGroups,
+  getMeetingPads,
+  adoptPad,
+  adoptSession,
+  dropSession,
   createMeeting,
   lockMeeting,
   unlockMeeting,
@@ -790,8 +1705,17 @@ module.exports = {
   promoteUser,
   demoteUser,
   createGroup,
+  updateGroupPermissions,
   createPad,
   updatePad,
   createSession,
+  renewSession,
+  getExpiringSessions,
   appendText,
+  clearPad,
+  removePad,
+  renamePad,
+  getStats,
+  mergeMeeting,
+  createToken,
 };
@@ -0,0 +1,340 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  etherpad: {
+    update: { throttle: 15000, local: true },
+    session: { ttl: 3600000 },
+  },
+  express: {},
+  redis: {},
+  persistence: { backend: 'memory' },
+  retention: { policy: 'keep' },
+  analytics: { throttle: 0 },
+  cues: { throttle: 0 },
+  models: {
+    notes: {
+      id: 'notes',
+      permission: { MODERATOR: true, VIEWER: true },
+      capacity: 0,
+      lock: 'read-only',
+      demote: 'lock',
+      update: { patch: false, content: true },
+      breakout: { seed: true, merge: true },
+    },
+    private: {
+      id: 'private',
+      permission: { MODERATOR: true, VIEWER: false },
+      capacity: 0,
+      lock: 'read-only',
+      demote: 'lock',
+      update: { patch: false, content: true },
+    },
+    captions: {
+      id: 'captions',
+      permission: { MODERATOR: true, VIEWER: false },
+      capacity: 1,
+      lock: 'ignore',
+      demote: 'revoke',
+      update: { patch: true, content: true },
+    },
+  },
+}));
+
+jest.mock('./sender', () => ({ send: jest.fn() }));
+
+jest.mock('../etherpad/api', () => ({
+  assign: jest.fn(() => 'etherpad'),
+  reassign: jest.fn(() => 'etherpad'),
+  release: jest.fn(),
+  append: jest.fn(() => Promise.resolve()),
+  supports: jest.fn(() => true),
+  getBackend: jest.fn(() => 'etherpad'),
+  call: jest.fn(),
+}));
+
+const analytics = require('../analytics');
+const api = require('../etherpad/api');
+const persistence = require('../persistence');
+const captions = require('../captions');
+const sender = require('./sender');
+const database = require('./database');
+
+let counter = 0;
+
+const etherpad = (method, params) => {
+  switch (method) {
+    case 'createAuthorIfNotExistsFor':
+      return Promise.resolve({ authorID: `a.${params.authorMapper}` });
+    case 'createGroup':
+      return Promise.resolve({ groupID: `g.${++counter}` });
+    case 'createSession':
+      return Promise.resolve({ sessionID: `s.${++counter}` });
+    case 'getReadOnlyID':
+      return Promise.resolve({ readOnlyID: `r.${params.padID}` });
+    case 'getHTML':
+      return Promise.resolve({ html: `<p>${params.padID}</p>` });
+    case 'getText':
+      return Promise.resolve({ text: `${params.padID}\n` });
+    default:
+      return Promise.resolve(null);
+  }
+};
+
+const getCalls = (method) => api.call.mock.calls.filter(([name]) => name === method).map(([, params]) => params);
+
+const getMessages = (type) => sender.send.mock.calls.filter(([name]) => name === type).map(([, , body]) => body);
+
+const setup = async (meetingId) => {
+  await database.createMeeting({ meetingId, locked: false });
+  await database.createUser(meetingId, { userId: 'moderator', name: 'M', role: 'MODERATOR', locked: false });
+  await database.createUser(meetingId, { userId: 'viewer', name: 'V', role: 'VIEWER', locked: true });
+  await database.createGroup(meetingId, { externalId: 'notes', model: 'notes' });
+  const { groupId } = getMessages('groupCreated').pop();
+  await database.createPad(meetingId, groupId, { name: 'notes' });
+
+  return groupId;
+};
+
+beforeEach(() => {
+  api.call.mockReset();
+  api.call.mockImplementation(etherpad);
+  api.append.mockClear();
+  sender.send.mockClear();
+});
+
+test('locked viewers get read-only access to every pad', async () => {
+  const groupId = await setup('read-only');
+  await database.createSession('read-only', groupId, 'viewer');
+  await database.lockMeeting('read-only');
+
+  expect(getCalls('deleteSession')).toHaveLength(1);
+  expect(getMessages('readOnlyGranted')).toEqual([{
+    groupId,
+    userId: 'viewer',
+    pads: { [`${groupId}$notes`]: `r.${groupId}$notes` },
+  }]);
+
+  sender.send.mockClear();
+  await database.createPad('read-only', groupId, { name: 'later' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  expect(getMessages('readOnlyGranted')).toEqual([{
+    groupId,
+    userId: 'viewer',
+    pads: {
+      [`${groupId}$notes`]: `r.${groupId}$notes`,
+      [`${groupId}$later`]: `r.${groupId}$later`,
+    },
+  }]);
+});
+
+test('read-only ids are only fetched once the session is gone', async () => {
+  const groupId = await setup('failing');
+  await database.createSession('failing', groupId, 'viewer');
+
+  api.call.mockImplementation((method, params) => {
+    return method === 'deleteSession' ? Promise.reject() : etherpad(method, params);
+  });
+
+  await expect(database.lockMeeting('failing')).rejects.toBeUndefined();
+  expect(getCalls('getReadOnlyID')).toHaveLength(0);
+  expect(getMessages('readOnlyGranted')).toHaveLength(0);
+});
+
+test('permission overrides', async () => {
+  const groupId = await setup('overrides');
+  await database.createSession('overrides', groupId, 'moderator');
+  await database.createSession('overrides', groupId, 'viewer');
+
+  await expect(database.updateGroupPermissions('overrides', groupId, {
+    userId: 'viewer',
+    overrides: { roles: { VIEWER: false } },
+  })).rejects.toBeUndefined();
+
+  const permissions = await database.updateGroupPermissions('overrides', groupId, {
+    userId: 'moderator',
+    overrides: { roles: { MODERATOR: false }, users: { moderator: true } },
+  });
+
+  expect(permissions.users).toEqual({ moderator: true, viewer: true });
+  expect(getCalls('deleteSession')).toHaveLength(0);
+
+  await database.updateGroupPermissions('overrides', groupId, {
+    userId: 'moderator',
+    overrides: { roles: { VIEWER: false } },
+  });
+
+  expect(getMessages('sessionDeleted').map(({ userId }) => userId)).toEqual(['viewer']);
+  expect(database.hasPermission('overrides', groupId, 'viewer')).toBe(false);
+
+  // Lifting the overrides brings the model's permission back
+  await database.updateGroupPermissions('overrides', groupId, { userId: 'moderator', overrides: null });
+  expect(database.hasPermission('overrides', groupId, 'viewer')).toBe(true);
+});
+
+test('overrides revoke read-only access', async () => {
+  const groupId = await setup('revoked');
+  await database.createSession('revoked', groupId, 'viewer');
+  await database.lockMeeting('revoked');
+
+  await database.updateGroupPermissions('revoked', groupId, {
+    userId: 'moderator',
+    overrides: { users: { viewer: false } },
+  });
+
+  expect(getMessages('readOnlyRevoked')).toEqual([{ groupId, userId: 'viewer' }]);
+
+  // The revoke survives a restart
+  const { revoked } = await persistence.load();
+  expect(revoked.groups[groupId].readOnly).toEqual({});
+
+  // Pads created afterwards are not shared with them anymore
+  sender.send.mockClear();
+  await database.createPad('revoked', groupId, { name: 'later' });
+  await new Promise(resolve => setImmediate(resolve));
+  expect(getMessages('readOnlyGranted')).toHaveLength(0);
+});
+
+test('only moderators clear pads', async () => {
+  const groupId = await setup('clear');
+
+  await expect(database.clearPad('clear', groupId, { name: 'notes', userId: 'viewer' })).rejects.toBeUndefined();
+  expect(getCalls('setText')).toHaveLength(0);
+
+  await database.clearPad('clear', groupId, { name: 'notes', userId: 'moderator' });
+  expect(getCalls('setText')).toEqual([{ padID: `${groupId}$notes`, text: '' }]);
+  expect(getMessages('padCleared')).toEqual([{ groupId, padId: `${groupId}$notes`, userId: 'moderator' }]);
+});
+
+test('renamed pads keep their read-only access and caption timeline', async () => {
+  const groupId = await setup('rename');
+  await database.createSession('rename', groupId, 'viewer');
+  await database.lockMeeting('rename');
+  sender.send.mockClear();
+
+  const newPadId = await database.renamePad('rename', groupId, { name: 'notes', newName: 'minutes', userId: 'moderator' });
+
+  expect(newPadId).toBe(`${groupId}$minutes`);
+  expect(getCalls('movePad')).toEqual([{ sourceID: `${groupId}$notes`, destinationID: newPadId }]);
+  expect(database.getPadId('rename', groupId, 'notes')).toBe(null);
+  expect(database.getPadId('rename', groupId, 'minutes')).toBe(newPadId);
+  expect(getMessages('readOnlyGranted')).toEqual([{
+    groupId,
+    userId: 'viewer',
+    pads: { [newPadId]: `r.${newPadId}` },
+  }]);
+
+  await database.createGroup('rename', { externalId: 'captions', model: 'captions' });
+  const { groupId: captionsId } = getMessages('groupCreated').pop();
+  await database.createPad('rename', captionsId, { name: 'en' });
+  captions.record(`${captionsId}$en`, 'Hello. ', { start: 0, end: 0, text: 'Hello. ' });
+
+  await database.renamePad('rename', captionsId, { name: 'en', newName: 'english', userId: 'moderator' });
+  expect(captions.has(`${captionsId}$en`)).toBe(false);
+  expect(captions.render(`${captionsId}$english`, 'vtt')).toContain('Hello.');
+});
+
+test('removed pads leave no records behind', async () => {
+  const groupId = await setup('remove');
+  const padId = `${groupId}$notes`;
+  await database.createSession('remove', groupId, 'viewer');
+  await database.lockMeeting('remove');
+  analytics.record('remove', padId, { userId: 'moderator' }, 'Z:1>1*0+1$a');
+  expect(analytics.get('remove', padId)).toHaveProperty('moderator');
+
+  await expect(database.removePad('remove', groupId, { name: 'notes', userId: 'viewer' })).rejects.toBeUndefined();
+  expect(getCalls('deletePad')).toHaveLength(0);
+
+  await database.removePad('remove', groupId, { name: 'notes', userId: 'moderator' });
+  expect(getCalls('deletePad')).toEqual([{ padID: padId }]);
+  expect(database.getPadId('remove', groupId, 'notes')).toBe(null);
+  expect(analytics.get('remove', padId)).toEqual({});
+  expect(getMessages('padDeleted')).toEqual([{ groupId, padId, userId: 'moderator' }]);
+});
+
+test('sessions are renewed before the previous one is deleted', async () => {
+  const groupId = await setup('renew');
+  const { sessionId: previousId } = await database.createSession('renew', groupId, 'moderator');
+
+  api.call.mockClear();
+  const { sessionId } = await database.renewSession('renew', groupId, 'moderator');
+
+  expect(sessionId).not.toBe(previousId);
+  expect(api.call.mock.calls.map(([method]) => method)).toEqual(['createSession', 'deleteSession']);
+  expect(getCalls('deleteSession')).toEqual([{ sessionID: previousId }]);
+  expect(getMessages('sessionCreated').pop()).toEqual({ groupId, userId: 'moderator', sessionId });
+});
+
+test('sessions of users who lost permission are removed instead of renewed', async () => {
+  const groupId = await setup('renew-revoked');
+  await database.createSession('renew-revoked', groupId, 'viewer');
+
+  // Etherpad fails to delete the session when permission is lost
+  api.call.mockImplementation((method, params) => {
+    return method === 'deleteSession' ? Promise.reject() : etherpad(method, params);
+  });
+  await database.updateGroupPermissions('renew-revoked', groupId, {
+    userId: 'moderator',
+    overrides: { users: { viewer: false } },
+  }).catch(() => {});
+  expect(database.getExpiringSessions(Infinity)).toContainEqual({ meetingId: 'renew-revoked', groupId, userId: 'viewer' });
+
+  await expect(database.renewSession('renew-revoked', groupId, 'viewer')).resolves.toBe(null);
+  expect(getCalls('createSession')).toHaveLength(1);
+  expect(database.getExpiringSessions(Infinity)).not.toContainEqual({ meetingId: 'renew-revoked', groupId, userId: 'viewer' });
+});
+
+test('breakout pads are seeded from and merged into their parent meeting', async () => {
+  const parentGroupId = await setup('parent');
+  await database.createMeeting({ meetingId: 'breakout', locked: false, name: 'Room 1', parentId: 'parent' });
+  await database.createGroup('breakout', { externalId: 'notes', model: 'notes' });
+  const { groupId } = getMessages('groupCreated').pop();
+  await database.createPad('breakout', groupId, { name: 'notes' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  expect(getCalls('setHTML')).toEqual([{ padID: `${groupId}$notes`, html: `<p>${parentGroupId}$notes</p>` }]);
+
+  // Pads without a counterpart in the parent meeting are left alone
+  await database.createPad('breakout', groupId, { name: 'extra' });
+  await new Promise(resolve => setImmediate(resolve));
+  expect(getCalls('setHTML')).toHaveLength(1);
+
+  await database.mergeMeeting('breakout');
+  expect(api.append.mock.calls).toEqual([
+    [`${parentGroupId}$notes`, `\n\n=== Room 1 ===\n${groupId}$notes\n`, 'parent'],
+  ]);
+
+  // Empty pads are not merged
+  api.append.mockClear();
+  api.call.mockImplementation((method, params) => {
+    return method === 'getText' ? Promise.resolve({ text: ' \n' }) : etherpad(method, params);
+  });
+  await database.mergeMeeting('breakout');
+  expect(api.append).not.toHaveBeenCalled();
+});
+
+test('locked users without permission get no read-only access', async () => {
+  const groupId = await setup('denied');
+  await database.updateGroupPermissions('denied', groupId, {
+    userId: 'moderator',
+    overrides: { users: { viewer: false } },
+  });
+  await database.createGroup('denied', { externalId: 'private', model: 'private' });
+  await database.lockMeeting('denied');
+
+  expect(getCalls('getReadOnlyID')).toHaveLength(0);
+  expect(getMessages('readOnlyGranted')).toHaveLength(0);
+});
+
+test('pads are only renamed to a new name', async () => {
+  const groupId = await setup('rename-invalid');
+  await database.createPad('rename-invalid', groupId, { name: 'minutes' });
+
+  const rename = (newName) => database.renamePad('rename-invalid', groupId, { name: 'notes', newName, userId: 'moderator' });
+
+  await expect(rename(undefined)).rejects.toBeUndefined();
+  await expect(rename('')).rejects.toBeUndefined();
+  await expect(rename('notes')).rejects.toBeUndefined();
+  await expect(rename('minutes')).rejects.toBeUndefined();
+  expect(getCalls('movePad')).toHaveLength(0);
+  expect(database.getPadId('rename-invalid', groupId, 'notes')).toBe(`${groupId}$notes`);
+});
@@ -1,4 +1,6 @@
 const database = require('./database');
+const archive = require('../archive');
+const checkpoints = require('../utils/checkpoints');
 const {
   ids,
   roles,
@@ -19,9 +21,21 @@ const events = {
 
 const commands = {
   GROUP_CREATE: 'PadCreateGroupCmdMsg',
+  GROUP_PERMISSIONS_UPDATE: 'PadUpdateGroupPermissionsCmdMsg',
   PAD_CREATE: 'PadCreateCmdMsg',
   PAD_UPDATE: 'PadUpdateCmdMsg',
+  PAD_CLEAR: 'PadClearCmdMsg',
+  PAD_DELETE: 'PadDeleteCmdMsg',
+  PAD_RENAME: 'PadRenameCmdMsg',
   SESSION_CREATE: 'PadCreateSessionCmdMsg',
+  EXPORT_TOKEN_CREATE: 'PadCreateExportTokenCmdMsg',
+  STREAM_TOKEN_CREATE: 'PadCreateStreamTokenCmdMsg',
+  REVISIONS_LIST: 'PadListRevisionsCmdMsg',
+  REVISION_RESTORE: 'PadRestoreRevisionCmdMsg',
+};
+
+const requests = {
+  STATS_GET: 'PadGetStatsReqMsg',
 };
 
 const systems = {
@@ -40,26 +54,41 @@ const systems = {
 };
 
 const handleMeetingCreated = (header, body) => {
-  const { intId: meetingId } = body.props.meetingProp;
+  const {
+    intId: meetingId,
+    name,
+    isBreakout,
+  } = body.props.meetingProp;
+  const { breakoutProps = {} } = body.props;
+  const parentId = isBreakout ? breakoutProps.parentId : null;
   database.createMeeting({
     meetingId,
     locked: body.props.lockSettingsProps.disableNotes,
+    name,
+    parentId,
   }).then(() => {
-    logger.info(ids.MEETING, 'created',{ meetingId });
+    logger.info(ids.MEETING, 'created',{ meetingId, parentId });
   }).catch(() => logger.error(ids.MEETING, 'creating', { meetingId, body }));
 };
 
 const handleMeetingDeleted = (header, body) => {
   const { meetingId } = header;
-  database.deleteMeeting(meetingId).then(() => {
-    logger.info(ids.MEETING, 'ended', { meetingId });
-  }).catch(() => logger.error(ids.MEETING, 'ending', { meetingId, body }));
+  // Archive and merge breakout rooms back while the meeting's pads are still known
+  archive.archive(meetingId).catch(() => logger.error(ids.MEETING, 'archiving', { meetingId })).then(() => {
+    return database.mergeMeeting(meetingId);
+  }).then(() => {
+    database.deleteMeeting(meetingId).then(() => {
+      checkpoints.remove(meetingId);
+      logger.info(ids.MEETING, 'ended', { meetingId });
+    }).catch(() => logger.error(ids.MEETING, 'ending', { meetingId, body }));
+  });
 };
 
 const handleMeetingLocked = (header, body) => {
   const { meetingId } = header;
   const { disableNotes: lock } = body;
   if (lock) {
+    checkpoints.save(meetingId, checkpoints.labels.LOCK);
     database.lockMeeting(meetingId).then(() => {
       logger.info(ids.MEETING, 'locked', { meetingId });
     }).catch(() => logger.error(ids.MEETING, 'locking', { meetingId, body }));
@@ -98,6 +127,7 @@ const handleUserLocked = (header, body) => {
   } = body;
 
   if (lock) {
+    checkpoints.save(meetingId, checkpoints.labels.LOCK);
     database.lockUser(meetingId, { userId }).then(() => {
       logger.info(ids.USER, 'locked', { meetingId, userId });
     }).catch(() => logger.error(ids.USER, 'locking', { meetingId, body }));
@@ -115,6 +145,7 @@ const handleUserUpdated = (header, body) => {
     userId,
   } = body;
 
+  checkpoints.save(meetingId, checkpoints.labels.ROLE);
   const promote = role === roles.MODERATOR;
   if (promote) {
     database.promoteUser(meetingId, { userId }).then(() => {
@@ -139,14 +170,28 @@ const handleGroupCreate = (header, body) => {
   }).catch(() => logger.error(ids.GROUP, 'creating', { meetingId, body }));
 };
 
+const handleGroupPermissionsUpdate = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    userId,
+    overrides,
+  } = body;
+
+  database.updateGroupPermissions(meetingId, groupId, { userId, overrides }).then(() => {
+    logger.info(ids.GROUP, 'permissions updated', { meetingId, groupId, userId });
+  }).catch(() => logger.error(ids.GROUP, 'updating permissions', { meetingId, body }));
+};
+
 const handlePadCreate = (header, body) => {
   const { meetingId } = header;
   const {
     groupId,
     name,
+    template,
   } = body;
 
-  database.createPad(meetingId, groupId, { name }).then(() => {
+  database.createPad(meetingId, groupId, { name, template }).then(() => {
     logger.info(ids.PAD, 'created', { meetingId, groupId, name });
   }).catch(() => logger.error(ids.PAD, 'creating', { meetingId, body }));
 };
@@ -164,6 +209,54 @@ const handlePadUpdate = (header, body) => {
   }).catch(() => logger.error(ids.PAD, 'appending', { meetingId, body }));
 };
 
+const handlePadClear = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    userId,
+  } = body;
+
+  // A checkpoint first, so the clear can be undone
+  const padId = database.getPadId(meetingId, groupId, name);
+  const saved = padId && database.isModerator(meetingId, userId)
+    ? checkpoints.savePad(meetingId, padId, checkpoints.labels.CLEAR)
+    : Promise.resolve();
+
+  saved.then(() => database.clearPad(meetingId, groupId, { name, userId })).then(() => {
+    logger.info(ids.PAD, 'cleared', { meetingId, groupId, name, userId });
+  }).catch(() => logger.error(ids.PAD, 'clearing', { meetingId, body }));
+};
+
+const handlePadDelete = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    userId,
+  } = body;
+
+  database.removePad(meetingId, groupId, { name, userId }).then(() => {
+    checkpoints.removePad(meetingId, `${groupId}$${name}`);
+    logger.info(ids.PAD, 'deleted', { meetingId, groupId, name, userId });
+  }).catch(() => logger.error(ids.PAD, 'deleting', { meetingId, body }));
+};
+
+const handlePadRename = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    newName,
+    userId,
+  } = body;
+
+  database.renamePad(meetingId, groupId, { name, newName, userId }).then(newPadId => {
+    checkpoints.move(meetingId, `${groupId}$${name}`, newPadId);
+    logger.info(ids.PAD, 'renamed', { meetingId, groupId, name, newName, userId });
+  }).catch(() => logger.error(ids.PAD, 'renaming', { meetingId, body }));
+};
+
 const handleSessionCreate = (header, body) => {
   const { meetingId } = header;
   const {
@@ -176,6 +269,59 @@ const handleSessionCreate = (header, body) => {
   }).catch(() => logger.error(ids.SESSION, 'creating', { meetingId, body }));
 };
 
+const handleTokenCreate = (header, body, scope) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    userId,
+  } = body;
+
+  database.createToken(meetingId, groupId, { name, userId, scope }).then(() => {
+    logger.info(ids.PAD, 'token created', { meetingId, groupId, name, userId, scope });
+  }).catch(() => logger.error(ids.PAD, 'creating token', { meetingId, body, scope }));
+};
+
+const handleRevisionsList = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    userId,
+  } = body;
+
+  checkpoints.list(meetingId, groupId, { name, userId }).then(() => {
+    logger.info(ids.PAD, 'revisions listed', { meetingId, groupId, name, userId });
+  }).catch(() => logger.error(ids.PAD, 'listing revisions', { meetingId, body }));
+};
+
+const handleRevisionRestore = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    userId,
+    rev,
+  } = body;
+
+  checkpoints.restore(meetingId, groupId, { name, userId, rev }).then(() => {
+    logger.info(ids.PAD, 'revision restored', { meetingId, groupId, name, userId, rev });
+  }).catch(() => logger.error(ids.PAD, 'restoring revision', { meetingId, body }));
+};
+
+const handleStatsGet = (header, body) => {
+  const { meetingId } = header;
+  const {
+    groupId,
+    name,
+    userId,
+  } = body;
+
+  database.getStats(meetingId, groupId, { name, userId }).then(() => {
+    logger.info(ids.GROUP, 'stats', { meetingId, groupId, name, userId });
+  }).catch(() => logger.error(ids.GROUP, 'getting stats', { meetingId, body }));
+};
+
 const handlePadSettingsLoaded = (header, body) => {
   logger.debug(ids.PAD, 'settings loaded', { body });
 };
@@ -222,7 +368,13 @@ const handlePadUpdated = (header, body) => {
   // Clear Etherpad's "\n" insertion
   const text = pad.atext.text.endsWith('\n') ? pad.atext.text.slice(0, -1) : pad.atext.text;
 
-  database.updatePad(padId, { authorId, rev, changeset, text }).then(() => {
+  // Pools are only published by some Etherpad versions
+  const {
+    atext,
+    pool = null,
+  } = pad;
+
+  database.updatePad(padId, { authorId, rev, changeset, text, atext, pool }).then(() => {
     logger.debug(ids.PAD, 'updated', { padId, authorId, rev, changeset, text });
   }).catch(() => logger.error(ids.PAD, 'updating', { body }));
 };
@@ -301,15 +453,42 @@ const handle = (message) => {
     case commands.GROUP_CREATE:
       handleGroupCreate(header, body);
       break;
+    case commands.GROUP_PERMISSIONS_UPDATE:
+      handleGroupPermissionsUpdate(header, body);
+      break;
     case commands.PAD_CREATE:
       handlePadCreate(header, body);
       break;
     case commands.PAD_UPDATE:
       handlePadUpdate(header, body);
       break;
+    case commands.PAD_CLEAR:
+      handlePadClear(header, body);
+      break;
+    case commands.PAD_DELETE:
+      handlePadDelete(header, body);
+      break;
+    case commands.PAD_RENAME:
+      handlePadRename(header, body);
+      break;
     case commands.SESSION_CREATE:
       handleSessionCreate(header, body);
       break;
+    case commands.EXPORT_TOKEN_CREATE:
+      handleTokenCreate(header, body, 'export');
+      break;
+    case commands.STREAM_TOKEN_CREATE:
+      handleTokenCreate(header, body, 'stream');
+      break;
+    case commands.REVISIONS_LIST:
+      handleRevisionsList(header, body);
+      break;
+    case commands.REVISION_RESTORE:
+      handleRevisionRestore(header, body);
+      break;
+    case requests.STATS_GET:
+      handleStatsGet(header, body);
+      break;
     case systems.PAD_SETTINGS_LOADED:
       handlePadSettingsLoaded(header, body);
       break;
@@ -0,0 +1,88 @@
+const config = require('../../config');
+const { roles } = require('../utils/constants');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('models');
+
+const actions = {
+  // Remove the user's session
+  REVOKE: 'revoke',
+  // Replace the user's session with read-only access
+  READ_ONLY: 'read-only',
+  // Apply the model's lock reaction when the user is locked in a locked meeting
+  LOCK: 'lock',
+  IGNORE: 'ignore',
+};
+
+const DEFAULTS = {
+  permission: {
+    [roles.MODERATOR]: true,
+    [roles.VIEWER]: true,
+  },
+  capacity: 0,
+  lock: actions.IGNORE,
+  demote: actions.LOCK,
+  update: {
+    patch: false,
+    content: true,
+  },
+  processors: [],
+  // Template the model's pads are created from
+  template: null,
+  // Breakout rooms' pads seeded from and merged back into their parent meeting's
+  breakout: {
+    seed: false,
+    merge: false,
+  },
+};
+
+// Defaults for settings written before policies existed
+const LEGACY = {
+  notes: {
+    lock: actions.READ_ONLY,
+    demote: actions.LOCK,
+  },
+  captions: {
+    lock: actions.IGNORE,
+    demote: actions.REVOKE,
+    update: {
+      patch: true,
+      content: true,
+    },
+  },
+};
+
+const build = (id, model) => {
+  const legacy = LEGACY[id] || {};
+
+  return {
+    ...DEFAULTS,
+    ...legacy,
+    ...model,
+    id,
+    permission: { ...DEFAULTS.permission, ...model.permission },
+    update: { ...DEFAULTS.update, ...legacy.update, ...model.update },
+    breakout: { ...DEFAULTS.breakout, ...model.breakout },
+  };
+};
+
+const models = Object.entries(config.models).reduce((result, [key, model]) => {
+  const id = model.id || key;
+  result[id] = build(id, model);
+  logger.debug('loaded', result[id]);
+
+  return result;
+}, {});
+
+const has = (model) => Boolean(models[model]);
+
+const get = (model) => models[model];
+
+const hasPermission = (model, role) => has(model) && Boolean(models[model].permission[role]);
+
+module.exports = {
+  actions,
+  has,
+  get,
+  hasPermission,
+};
@@ -0,0 +1,41 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  models: {
+    notes: {
+      id: 'notes',
+      permission: { MODERATOR: true, VIEWER: true },
+      capacity: 0,
+    },
+    qa: {
+      permission: { VIEWER: false },
+      lock: 'revoke',
+      update: { patch: true },
+      breakout: { seed: true },
+    },
+  },
+}));
+
+const models = require('./models');
+
+test('legacy model defaults', () => {
+  expect(models.get('notes')).toMatchObject({
+    lock: 'read-only',
+    demote: 'lock',
+    update: { patch: false, content: true },
+  });
+});
+
+test('declared model policies', () => {
+  expect(models.get('qa')).toMatchObject({
+    id: 'qa',
+    capacity: 0,
+    lock: 'revoke',
+    demote: 'lock',
+    update: { patch: true, content: true },
+    breakout: { seed: true, merge: false },
+  });
+
+  expect(models.hasPermission('qa', 'MODERATOR')).toBe(true);
+  expect(models.hasPermission('qa', 'VIEWER')).toBe(false);
+  expect(models.hasPermission('missing', 'MODERATOR')).toBe(false);
+});
@@ -37,9 +37,21 @@ const buildMessage = (type, meetingId, body) => {
     case 'groupCreated':
       message = build('PadGroupCreatedEvtMsg', meetingId, body);
       break;
+    case 'groupPermissionsUpdated':
+      message = build('PadGroupPermissionsUpdatedEvtMsg', meetingId, body);
+      break;
     case 'padCreated':
       message = build('PadCreatedEvtMsg', meetingId, body);
       break;
+    case 'padCleared':
+      message = build('PadClearedEvtMsg', meetingId, body);
+      break;
+    case 'padDeleted':
+      message = build('PadDeletedEvtMsg', meetingId, body);
+      break;
+    case 'padRenamed':
+      message = build('PadRenamedEvtMsg', meetingId, body);
+      break;
     case 'padUpdated':
       message = build('PadUpdatedSysMsg', meetingId, body);
       break;
@@ -49,12 +61,42 @@ const buildMessage = (type, meetingId, body) => {
     case 'padPatch':
       message = build('PadPatchSysMsg', meetingId, body);
       break;
+    case 'stats':
+      message = build('PadGetStatsRespMsg', meetingId, body);
+      break;
+    case 'revisionsListed':
+      message = build('PadRevisionsListedEvtMsg', meetingId, body);
+      break;
+    case 'revisionRestored':
+      message = build('PadRevisionRestoredEvtMsg', meetingId, body);
+      break;
+    case 'readOnlyGranted':
+      message = build('PadReadOnlyGrantedEvtMsg', meetingId, body);
+      break;
+    case 'readOnlyRevoked':
+      message = build('PadReadOnlyRevokedEvtMsg', meetingId, body);
+      break;
     case 'sessionCreated':
       message = build('PadSessionCreatedEvtMsg', meetingId, body);
       break;
     case 'sessionDeleted':
       message = build('PadSessionDeletedSysMsg', meetingId, body);
       break;
+    case 'exportTokenCreated':
+      message = build('PadExportTokenCreatedEvtMsg', meetingId, body);
+      break;
+    case 'streamTokenCreated':
+      message = build('PadStreamTokenCreatedEvtMsg', meetingId, body);
+      break;
+    case 'padArchived':
+      message = build('PadArchivedSysMsg', meetingId, body);
+      break;
+    case 'groupPurged':
+      message = build('PadGroupPurgedSysMsg', meetingId, body);
+      break;
+    case 'reconciled':
+      message = build('PadReconciledSysMsg', meetingId, body);
+      break;
     default:
   }
 
@@ -0,0 +1,93 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../../config');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('templates');
+
+const { templates: settings = {} } = config;
+
+const { directory: DIRECTORY = null } = settings;
+
+const types = {
+  TEXT: 'text',
+  HTML: 'html',
+};
+
+const EXTENSIONS = {
+  '.txt': types.TEXT,
+  '.html': types.HTML,
+};
+
+const VARIABLE = /{{\s*(\w+)\s*}}/g;
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+const escape = (value) => value.replace(/[&<>"']/g, character => ESCAPES[character]);
+
+const templates = {};
+
+// Templates are named after their file, its extension telling text from HTML
+if (DIRECTORY) {
+  try {
+    fs.readdirSync(DIRECTORY).forEach(file => {
+      const extension = path.extname(file);
+      const type = EXTENSIONS[extension];
+      if (!type) return;
+
+      const source = path.resolve(DIRECTORY, file);
+      const name = path.basename(file, extension);
+      try {
+        templates[name] = {
+          type,
+          content: fs.readFileSync(source, 'utf8'),
+        };
+        logger.debug('loaded', { name, type, source });
+      } catch (error) {
+        logger.error('loading', { source, message: error.message });
+      }
+    });
+  } catch (error) {
+    logger.error('loading', { directory: DIRECTORY, message: error.message });
+  }
+}
+
+const has = (name) => Boolean(templates[name]);
+
+// Unknown variables are left untouched
+const substitute = (content, variables, type) => {
+  return content.replace(VARIABLE, (match, key) => {
+    if (variables[key] === undefined || variables[key] === null) return match;
+
+    const value = String(variables[key]);
+
+    return type === types.HTML ? escape(value) : value;
+  });
+};
+
+const render = (name, variables = {}) => {
+  if (!has(name)) {
+    logger.warn('missing', { name });
+
+    return null;
+  }
+
+  const { type, content } = templates[name];
+
+  return {
+    type,
+    content: substitute(content, variables, type),
+  };
+};
+
+module.exports = {
+  types,
+  has,
+  render,
+};
@@ -0,0 +1,37 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const mockDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  templates: { directory: mockDirectory },
+}));
+
+fs.writeFileSync(path.join(mockDirectory, 'agenda.txt'), 'Agenda for {{meeting}} ({{ date }}) {{unknown}}');
+fs.writeFileSync(path.join(mockDirectory, 'minutes.html'), '<h1>{{meeting}}</h1><p>{{moderators}}</p>');
+fs.writeFileSync(path.join(mockDirectory, 'ignored.md'), '# {{meeting}}');
+
+const templates = require('./index');
+
+afterAll(() => fs.rmSync(mockDirectory, { recursive: true }));
+
+test('text template substitution', () => {
+  expect(templates.render('agenda', { meeting: 'Class', date: '2024-01-01' })).toEqual({
+    type: 'text',
+    content: 'Agenda for Class (2024-01-01) {{unknown}}',
+  });
+});
+
+test('html template escaping', () => {
+  expect(templates.render('minutes', { meeting: 'Q&A', moderators: '<Ann>, Bob' })).toEqual({
+    type: 'html',
+    content: '<h1>Q&amp;A</h1><p>&lt;Ann&gt;, Bob</p>',
+  });
+});
+
+test('missing templates', () => {
+  expect(templates.has('ignored')).toBe(false);
+  expect(templates.render('missing')).toBe(null);
+});
@@ -0,0 +1,241 @@
+const api = require('../etherpad/api');
+const database = require('../redis/database');
+const persistence = require('../persistence');
+const sender = require('../redis/sender');
+const { ids } = require('./constants');
+const Logger = require('./logger');
+const config = require('../../config');
+
+const logger = new Logger('checkpoints');
+
+const labels = {
+  PERIODIC: 'periodic',
+  LOCK: 'lock',
+  ROLE: 'role',
+  CLEAR: 'clear',
+};
+
+const { checkpoints: settings = {} } = config;
+
+const {
+  enabled: ENABLED = true,
+  interval: INTERVAL = 600000,
+  events: EVENTS = [labels.LOCK, labels.ROLE],
+} = settings;
+
+// Etherpad only keeps saved revision numbers, when and why are kept here
+const store = persistence.createStore('checkpoints');
+
+// Records by meeting, then by pad
+const checkpoints = {};
+
+let interval = null;
+
+let running = false;
+
+// Saved revisions came with Etherpad's API 1.2.11
+const isSupported = (meetingId = null) => api.supports('saveRevision', meetingId);
+
+const getRecords = (meetingId, padId) => {
+  if (!checkpoints[meetingId] || !checkpoints[meetingId][padId]) return [];
+
+  return checkpoints[meetingId][padId];
+};
+
+const savePad = (meetingId, padId, label) => {
+  if (!ENABLED || !isSupported(meetingId)) return Promise.resolve();
+
+  return api.call('getRevisionsCount', { padID: padId }, meetingId).then(({ revisions: rev }) => {
+    // Nothing changed since the last checkpoint
+    const records = getRecords(meetingId, padId);
+    const last = records[records.length - 1];
+    if (last && last.rev === rev) return null;
+
+    return api.call('saveRevision', { padID: padId, rev }, meetingId).then(() => {
+      if (!checkpoints[meetingId]) checkpoints[meetingId] = {};
+      checkpoints[meetingId][padId] = [...records, {
+        rev,
+        timestamp: Date.now(),
+        label,
+      }];
+
+      logger.trace(ids.PAD, 'checkpoint', { meetingId, padId, rev, label });
+
+      return store.save(meetingId, checkpoints[meetingId]);
+    });
+  }).catch(() => logger.error(ids.PAD, 'checkpointing', { meetingId, padId, label }));
+};
+
+// One pad at a time to spare Etherpad
+const saveAll = (pads, label) => {
+  return pads.reduce((chain, { meetingId, padId }) => {
+    return chain.then(() => savePad(meetingId, padId, label));
+  }, Promise.resolve());
+};
+
+const save = (meetingId, label) => {
+  if (!ENABLED || !EVENTS.includes(label) || !isSupported(meetingId)) return Promise.resolve();
+
+  const pads = database.getMeetingPads(meetingId).map(pad => ({ meetingId, ...pad }));
+
+  return saveAll(pads, label);
+};
+
+const tick = () => {
+  if (running) return;
+
+  // Each meeting's backend might support saved revisions or not
+  const pads = database.getMeetingIds().filter(meetingId => isSupported(meetingId)).reduce((result, meetingId) => {
+    database.getMeetingPads(meetingId).forEach(pad => result.push({ meetingId, ...pad }));
+
+    return result;
+  }, []);
+  if (pads.length === 0) return;
+
+  running = true;
+  saveAll(pads, labels.PERIODIC).then(() => {
+    logger.debug('saved', { pads: pads.length });
+    running = false;
+  });
+};
+
+const list = (meetingId, groupId, {
+  name,
+  userId,
+}) => {
+  return new Promise((resolve, reject) => {
+    const padId = database.getPadId(meetingId, groupId, name);
+    if (!padId) return reject();
+
+    if (!database.isModerator(meetingId, userId)) {
+      logger.warn(ids.PAD, 'list not allowed', { meetingId, padId, userId });
+
+      return reject();
+    }
+
+    api.call('listSavedRevisions', { padID: padId }, meetingId).then(({ savedRevisions }) => {
+      const records = getRecords(meetingId, padId);
+      // Revisions saved outside bbb-pads have neither timestamp nor label
+      const revisions = savedRevisions.map(rev => {
+        const record = records.find(entry => entry.rev === rev) || {};
+        const {
+          timestamp = null,
+          label = null,
+        } = record;
+
+        return {
+          rev,
+          timestamp,
+          label,
+        };
+      });
+
+      sender.send('revisionsListed', meetingId, { groupId, padId, userId, revisions });
+
+      resolve(revisions);
+    }).catch(() => {
+      logger.error(ids.PAD, 'listing', { meetingId, padId });
+
+      reject();
+    });
+  });
+};
+
+const restore = (meetingId, groupId, {
+  name,
+  userId,
+  rev,
+}) => {
+  return new Promise((resolve, reject) => {
+    const padId = database.getPadId(meetingId, groupId, name);
+    if (!padId) return reject();
+
+    if (!database.isModerator(meetingId, userId)) {
+      logger.warn(ids.PAD, 'restore not allowed', { meetingId, padId, userId });
+
+      return reject();
+    }
+
+    const publish = (restored) => {
+      sender.send('revisionRestored', meetingId, { groupId, padId, userId, rev, restored });
+    };
+
+    api.call('restoreRevision', { padID: padId, rev }, meetingId).then(() => {
+      logger.info(ids.PAD, 'restored', { meetingId, padId, userId, rev });
+      publish(true);
+
+      resolve();
+    }).catch(() => {
+      logger.error(ids.PAD, 'restoring', { meetingId, padId, rev });
+      publish(false);
+
+      reject();
+    });
+  });
+};
+
+// Etherpad moves saved revisions along with the pad
+const move = (meetingId, padId, newPadId) => {
+  if (!checkpoints[meetingId] || !checkpoints[meetingId][padId]) return;
+
+  checkpoints[meetingId][newPadId] = checkpoints[meetingId][padId];
+  delete checkpoints[meetingId][padId];
+
+  store.save(meetingId, checkpoints[meetingId]);
+};
+
+// Etherpad deletes saved revisions along with the pad
+const removePad = (meetingId, padId) => {
+  if (!checkpoints[meetingId] || !checkpoints[meetingId][padId]) return;
+
+  delete checkpoints[meetingId][padId];
+
+  store.save(meetingId, checkpoints[meetingId]);
+};
+
+const remove = (meetingId) => {
+  delete checkpoints[meetingId];
+  store.remove(meetingId);
+};
+
+const start = () => {
+  if (!ENABLED) return;
+
+  // Meetings on backends without saved revisions are skipped, the others still get checkpoints
+  if (!isSupported()) {
+    logger.warn('unsupported', { backends: api.getLoad().map(({ backend, version }) => ({ backend, version })) });
+  }
+
+  stop();
+  store.load().then(records => {
+    Object.entries(records).forEach(([meetingId, pads]) => {
+      checkpoints[meetingId] = { ...pads, ...checkpoints[meetingId] };
+    });
+
+    logger.info('loaded', { meetings: Object.keys(records).length });
+  }).catch(() => logger.error('loading'));
+
+  interval = setInterval(tick, INTERVAL);
+  logger.info('started', { interval: `${INTERVAL / 60000} minutes` });
+};
+
+const stop = () => {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+    logger.info('stopped');
+  }
+};
+
+module.exports = {
+  labels,
+  savePad,
+  save,
+  list,
+  restore,
+  move,
+  removePad,
+  remove,
+  start,
+  stop,
+};
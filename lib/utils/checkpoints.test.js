@@ -0,0 +1,135 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  redis: {},
+  persistence: { backend: 'memory' },
+  checkpoints: { interval: 3600000 },
+}));
+
+jest.mock('../etherpad/api', () => ({
+  call: jest.fn(),
+  supports: jest.fn(() => true),
+  getLoad: jest.fn(() => []),
+}));
+
+jest.mock('../redis/database', () => ({
+  getMeetingIds: jest.fn(() => ['meeting', 'old']),
+  getMeetingPads: jest.fn(meetingId => [{ groupId: 'g.1', padId: meetingId === 'old' ? 'g.1$old' : 'g.1$notes' }]),
+  getPadId: jest.fn((meetingId, groupId, name) => `${groupId}$${name}`),
+  isModerator: jest.fn((meetingId, userId) => userId === 'moderator'),
+}));
+
+jest.mock('../redis/sender', () => ({ send: jest.fn() }));
+
+const api = require('../etherpad/api');
+const sender = require('../redis/sender');
+const checkpoints = require('./checkpoints');
+
+// Etherpad's pad at the given revision, with its saved revisions
+const etherpad = {
+  rev: 5,
+  saved: [2],
+};
+
+const getCalls = (method) => api.call.mock.calls.filter(([name]) => name === method).map(([, params]) => params);
+
+beforeEach(() => {
+  api.call.mockReset();
+  api.call.mockImplementation((method, params) => {
+    switch (method) {
+      case 'getRevisionsCount':
+        return Promise.resolve({ revisions: etherpad.rev });
+      case 'saveRevision':
+        etherpad.saved.push(params.rev);
+
+        return Promise.resolve(null);
+      case 'listSavedRevisions':
+        return Promise.resolve({ savedRevisions: etherpad.saved });
+      default:
+        return Promise.resolve(null);
+    }
+  });
+  api.supports.mockReturnValue(true);
+  sender.send.mockClear();
+});
+
+test('checkpoints are saved on configured events when the pad changed', async () => {
+  await checkpoints.save('meeting', checkpoints.labels.LOCK);
+  await checkpoints.save('meeting', checkpoints.labels.ROLE);
+  await checkpoints.save('meeting', checkpoints.labels.PERIODIC);
+
+  expect(getCalls('saveRevision')).toEqual([{ padID: 'g.1$notes', rev: 5 }]);
+
+  etherpad.rev = 7;
+  await checkpoints.savePad('meeting', 'g.1$notes', checkpoints.labels.CLEAR);
+  expect(getCalls('saveRevision')).toEqual([{ padID: 'g.1$notes', rev: 5 }, { padID: 'g.1$notes', rev: 7 }]);
+});
+
+test('saved revisions are listed with their label to moderators', async () => {
+  await expect(checkpoints.list('meeting', 'g.1', { name: 'notes', userId: 'viewer' })).rejects.toBeUndefined();
+  expect(getCalls('listSavedRevisions')).toHaveLength(0);
+
+  const revisions = await checkpoints.list('meeting', 'g.1', { name: 'notes', userId: 'moderator' });
+
+  // Revisions saved outside bbb-pads are listed too
+  expect(revisions).toEqual([
+    { rev: 2, timestamp: null, label: null },
+    { rev: 5, timestamp: expect.any(Number), label: 'lock' },
+    { rev: 7, timestamp: expect.any(Number), label: 'clear' },
+  ]);
+  expect(sender.send).toHaveBeenCalledWith('revisionsListed', 'meeting', {
+    groupId: 'g.1',
+    padId: 'g.1$notes',
+    userId: 'moderator',
+    revisions,
+  });
+});
+
+test('records follow renamed pads and go with deleted ones', async () => {
+  checkpoints.move('meeting', 'g.1$notes', 'g.1$minutes');
+  const moved = await checkpoints.list('meeting', 'g.1', { name: 'minutes', userId: 'moderator' });
+  expect(moved.map(({ label }) => label)).toEqual([null, 'lock', 'clear']);
+
+  checkpoints.removePad('meeting', 'g.1$minutes');
+  const removed = await checkpoints.list('meeting', 'g.1', { name: 'minutes', userId: 'moderator' });
+  expect(removed.map(({ label }) => label)).toEqual([null, null, null]);
+});
+
+test('only moderators restore revisions', async () => {
+  await expect(checkpoints.restore('meeting', 'g.1', { name: 'notes', userId: 'viewer', rev: 5 })).rejects.toBeUndefined();
+  expect(getCalls('restoreRevision')).toHaveLength(0);
+
+  await checkpoints.restore('meeting', 'g.1', { name: 'notes', userId: 'moderator', rev: 5 });
+  expect(getCalls('restoreRevision')).toEqual([{ padID: 'g.1$notes', rev: 5 }]);
+
+  api.call.mockImplementation(() => Promise.reject());
+  await expect(checkpoints.restore('meeting', 'g.1', { name: 'notes', userId: 'moderator', rev: 2 })).rejects.toBeUndefined();
+  expect(sender.send.mock.calls.map(([, , { rev, restored }]) => ({ rev, restored }))).toEqual([
+    { rev: 5, restored: true },
+    { rev: 2, restored: false },
+  ]);
+});
+
+test('backends without saved revisions are left alone', async () => {
+  api.supports.mockReturnValue(false);
+  etherpad.rev = 9;
+
+  await checkpoints.save('meeting', checkpoints.labels.LOCK);
+  await checkpoints.savePad('meeting', 'g.1$notes', checkpoints.labels.CLEAR);
+
+  expect(api.call).not.toHaveBeenCalled();
+});
+
+test('periodic checkpoints follow each meeting\'s backend support', async () => {
+  jest.useFakeTimers();
+  // The default backend is too old, the one of the meeting is not
+  api.supports.mockImplementation((method, meetingId) => meetingId === 'meeting');
+  etherpad.rev = 11;
+
+  checkpoints.start();
+  jest.advanceTimersByTime(3600000);
+  checkpoints.stop();
+  jest.useRealTimers();
+  await new Promise(resolve => setImmediate(resolve));
+
+  expect(getCalls('saveRevision')).toEqual([{ padID: 'g.1$notes', rev: 11 }]);
+});
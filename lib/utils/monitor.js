@@ -1,5 +1,7 @@
+const api = require('../etherpad/api');
 const database = require('../redis/database');
 const mapper = require('../redis/mapper');
+const pool = require('../express/pool');
 const Logger = require('../utils/logger');
 const config = require('../../config');
 
@@ -12,6 +14,8 @@ let interval = null;
 const publish = () => {
   logger.info('size', 'database', database.getSize());
   logger.info('size', 'mapper', mapper.getSize());
+  logger.info('pool', pool.getStats());
+  logger.info('backends', api.getLoad());
 };
 
 const start = () => {
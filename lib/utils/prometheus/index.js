@@ -1,6 +1,10 @@
 const config = require('../../../config');
 const PrometheusAgent = require('./prometheus-agent.js');
-const { Counter } = require('prom-client');
+const {
+  Counter,
+  Gauge,
+  Histogram,
+} = require('prom-client');
 const Logger = require('../logger.js');
 
 const logger = new Logger('prometheus');
@@ -9,7 +13,24 @@ const PREFIX = 'bbb_pads_';
 const PROM_NAMES = {
   ETH_REQS_TOTAL: `${PREFIX}etherpad_requests_total`,
   ETH_REQS_ERRORS: `${PREFIX}etherpad_requests_errors_total`,
+  PROXY_SESSIONS: `${PREFIX}proxy_sessions_total`,
+  ETH_REQS_AVOIDED: `${PREFIX}etherpad_requests_avoided_total`,
+  LOCAL_RESYNCS: `${PREFIX}local_resyncs_total`,
+  ETH_REQS_RETRIES: `${PREFIX}etherpad_requests_retries_total`,
+  ETH_REQS_REJECTED: `${PREFIX}etherpad_requests_rejected_total`,
+  ETH_CIRCUIT_STATE: `${PREFIX}etherpad_circuit_state`,
+  ETH_REQS_COALESCED: `${PREFIX}etherpad_requests_coalesced_total`,
+  ETH_QUEUE_DEPTH: `${PREFIX}etherpad_queue_depth`,
+  ETH_QUEUE_WAIT: `${PREFIX}etherpad_queue_wait_seconds`,
+  ETH_BACKEND_UP: `${PREFIX}etherpad_backend_up`,
+  ETH_BACKEND_MEETINGS: `${PREFIX}etherpad_backend_meetings`,
 }
+
+const CIRCUIT_STATES = {
+  closed: 0,
+  'half-open': 1,
+  open: 2,
+};
 const {
   enabled: PROM_ENABLED = false,
   host: PROM_HOST = 'localhost',
@@ -38,6 +59,62 @@ const _buildDefaultMetrics = () => {
         help: 'Total Etherpad API request failures',
         labelNames: ['method'],
       }),
+      [PROM_NAMES.PROXY_SESSIONS]: new Counter({
+        name: PROM_NAMES.PROXY_SESSIONS,
+        help: 'Total proxy session pool lookups',
+        labelNames: ['result'],
+      }),
+      [PROM_NAMES.ETH_REQS_AVOIDED]: new Counter({
+        name: PROM_NAMES.ETH_REQS_AVOIDED,
+        help: 'Total Etherpad API requests avoided by local rendering',
+        labelNames: ['method'],
+      }),
+      [PROM_NAMES.LOCAL_RESYNCS]: new Counter({
+        name: PROM_NAMES.LOCAL_RESYNCS,
+        help: 'Total local pad copies resynchronized from Etherpad',
+        labelNames: ['reason'],
+      }),
+      [PROM_NAMES.ETH_REQS_RETRIES]: new Counter({
+        name: PROM_NAMES.ETH_REQS_RETRIES,
+        help: 'Total Etherpad API request retries',
+        labelNames: ['method'],
+      }),
+      [PROM_NAMES.ETH_REQS_REJECTED]: new Counter({
+        name: PROM_NAMES.ETH_REQS_REJECTED,
+        help: 'Total Etherpad API requests rejected by an open circuit',
+        labelNames: ['method'],
+      }),
+      [PROM_NAMES.ETH_CIRCUIT_STATE]: new Gauge({
+        name: PROM_NAMES.ETH_CIRCUIT_STATE,
+        help: 'Etherpad API circuit state (0 closed, 1 half-open, 2 open)',
+        labelNames: ['backend'],
+      }),
+      [PROM_NAMES.ETH_REQS_COALESCED]: new Counter({
+        name: PROM_NAMES.ETH_REQS_COALESCED,
+        help: 'Total Etherpad API requests served by an identical in-flight request',
+        labelNames: ['method'],
+      }),
+      [PROM_NAMES.ETH_QUEUE_DEPTH]: new Gauge({
+        name: PROM_NAMES.ETH_QUEUE_DEPTH,
+        help: 'Etherpad API requests waiting in queue',
+        labelNames: ['backend', 'queue'],
+      }),
+      [PROM_NAMES.ETH_QUEUE_WAIT]: new Histogram({
+        name: PROM_NAMES.ETH_QUEUE_WAIT,
+        help: 'Time Etherpad API requests waited before being sent',
+        labelNames: ['method'],
+        buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10],
+      }),
+      [PROM_NAMES.ETH_BACKEND_UP]: new Gauge({
+        name: PROM_NAMES.ETH_BACKEND_UP,
+        help: 'Whether the Etherpad backend takes new meetings (1) or not (0)',
+        labelNames: ['backend'],
+      }),
+      [PROM_NAMES.ETH_BACKEND_MEETINGS]: new Gauge({
+        name: PROM_NAMES.ETH_BACKEND_MEETINGS,
+        help: 'Meetings assigned to the Etherpad backend',
+        labelNames: ['backend'],
+      }),
     }
   }
 
@@ -70,8 +147,69 @@ const registerAPICall = (method) => {
   PADSPrometheusAgent.increment(PROM_NAMES.ETH_REQS_TOTAL, { method });
 }
 
+const registerProxySession = (result) => {
+  if (result == null) return;
+  PADSPrometheusAgent.increment(PROM_NAMES.PROXY_SESSIONS, { result });
+};
+
+const registerAvoidedCall = (method) => {
+  if (method == null) return;
+  PADSPrometheusAgent.increment(PROM_NAMES.ETH_REQS_AVOIDED, { method });
+};
+
+const registerResync = (reason) => {
+  if (reason == null) return;
+  PADSPrometheusAgent.increment(PROM_NAMES.LOCAL_RESYNCS, { reason });
+};
+
+const registerAPIRetry = (method) => {
+  if (method == null) return;
+  PADSPrometheusAgent.increment(PROM_NAMES.ETH_REQS_RETRIES, { method });
+};
+
+const registerAPIRejection = (method) => {
+  if (method == null) return;
+  PADSPrometheusAgent.increment(PROM_NAMES.ETH_REQS_REJECTED, { method });
+};
+
+const registerCircuitState = (backend, state) => {
+  if (backend == null || CIRCUIT_STATES[state] == null) return;
+  PADSPrometheusAgent.set(PROM_NAMES.ETH_CIRCUIT_STATE, CIRCUIT_STATES[state], { backend });
+};
+
+const registerCoalescedCall = (method) => {
+  if (method == null) return;
+  PADSPrometheusAgent.increment(PROM_NAMES.ETH_REQS_COALESCED, { method });
+};
+
+const registerQueueDepth = (backend, queue, depth) => {
+  if (backend == null || queue == null) return;
+  PADSPrometheusAgent.set(PROM_NAMES.ETH_QUEUE_DEPTH, depth, { backend, queue });
+};
+
+const registerQueueWait = (method, seconds) => {
+  if (method == null) return;
+  PADSPrometheusAgent.observe(PROM_NAMES.ETH_QUEUE_WAIT, seconds, { method });
+};
+
+const registerBackendLoad = (backend, up, meetings) => {
+  if (backend == null) return;
+  PADSPrometheusAgent.set(PROM_NAMES.ETH_BACKEND_UP, up ? 1 : 0, { backend });
+  PADSPrometheusAgent.set(PROM_NAMES.ETH_BACKEND_MEETINGS, meetings, { backend });
+};
+
 module.exports = {
   start,
   registerAPIError,
   registerAPICall,
+  registerProxySession,
+  registerAvoidedCall,
+  registerResync,
+  registerAPIRetry,
+  registerAPIRejection,
+  registerCircuitState,
+  registerCoalescedCall,
+  registerQueueDepth,
+  registerQueueWait,
+  registerBackendLoad,
 };
@@ -94,6 +94,15 @@ module.exports = class PrometheusScrapeAgent {
     }
   }
 
+  observe (metricName, value, labelsObject = {}) {
+    if (!this.started) return;
+
+    const metric = this.metrics[metricName];
+    if (metric) {
+      metric.observe(labelsObject, value)
+    }
+  }
+
   setCollectorWithGenerator (metricName, generator) {
     const metric = this.getMetric(metricName);
     if (metric) {
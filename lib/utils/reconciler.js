@@ -0,0 +1,221 @@
+const api = require('../etherpad/api');
+const database = require('../redis/database');
+const mapper = require('../redis/mapper');
+const retention = require('./retention');
+const sender = require('../redis/sender');
+const { ids } = require('./constants');
+const Logger = require('./logger');
+const config = require('../../config');
+
+const logger = new Logger('reconciler');
+
+const { reconciliation: settings = {} } = config;
+
+const {
+  enabled: ENABLED = true,
+  policy: POLICY = 'remove',
+  dryRun: DRY_RUN = true,
+} = settings;
+
+const policies = {
+  ADOPT: 'adopt',
+  REMOVE: 'remove',
+};
+
+const buildCounters = () => {
+  return {
+    orphaned: 0,
+    adopted: 0,
+    removed: 0,
+  };
+};
+
+const buildSummary = () => {
+  return {
+    policy: POLICY,
+    dryRun: DRY_RUN,
+    groups: buildCounters(),
+    pads: buildCounters(),
+    sessions: {
+      ...buildCounters(),
+      stale: 0,
+    },
+  };
+};
+
+// Dry-run only reports what would be done
+const act = (summary, type, action, execute, context) => {
+  logger.info(type, action, { dryRun: DRY_RUN, ...context });
+
+  if (DRY_RUN) return Promise.resolve();
+
+  return execute().then(() => {
+    summary[type][action]++;
+  }).catch(() => logger.error(type, action, context));
+};
+
+const remove = (backend, summary, type, method, params, context) => {
+  return act(summary, type, 'removed', () => api.callBackend(backend, method, params), context);
+};
+
+const adopt = (summary, type, adopter, context) => {
+  return act(summary, type, 'adopted', () => {
+    return adopter() ? Promise.resolve() : Promise.reject();
+  }, context);
+};
+
+const reconcilePads = (backend, groupId, group, summary) => {
+  const { meetingId } = group;
+
+  return api.callBackend(backend, 'listPads', { groupID: groupId }).then(response => {
+    const orphans = response.padIDs.filter(padId => !group.padIds.includes(padId));
+    const promises = orphans.map(padId => {
+      summary.pads.orphaned++;
+      const context = { meetingId, groupId, padId };
+
+      switch (POLICY) {
+        case policies.ADOPT:
+          return adopt(summary, 'pads', () => database.adoptPad(meetingId, groupId, padId), context);
+        case policies.REMOVE:
+          return remove(backend, summary, 'pads', 'deletePad', { padID: padId }, context);
+        default:
+          return Promise.resolve();
+      }
+    });
+
+    return Promise.all(promises);
+  });
+};
+
+const reconcileSession = (backend, groupId, group, summary, sessionId, info) => {
+  const { meetingId } = group;
+  const {
+    authorID: authorId,
+    validUntil: expiration,
+  } = info;
+
+  summary.sessions.orphaned++;
+  const context = { meetingId, groupId, sessionId, authorId };
+
+  switch (POLICY) {
+    case policies.ADOPT:
+      return adopt(summary, 'sessions', () => {
+        const user = mapper.getUser(authorId);
+        if (!user || user.meetingId !== meetingId) return false;
+
+        return database.adoptSession(meetingId, groupId, user.userId, { sessionId, expiration });
+      }, context);
+    case policies.REMOVE:
+      return remove(backend, summary, 'sessions', 'deleteSession', { sessionID: sessionId }, context);
+    default:
+      return Promise.resolve();
+  }
+};
+
+// Known sessions missing from Etherpad's listing are confirmed before being dropped
+const reconcileKnownSession = (backend, groupId, group, summary, userId) => {
+  const { meetingId } = group;
+  const sessionId = group.sessions[userId];
+
+  return new Promise((resolve) => {
+    api.callBackend(backend, 'getSessionInfo', { sessionID: sessionId }).then(() => resolve()).catch(() => {
+      summary.sessions.stale++;
+      logger.info(ids.SESSION, 'stale', { dryRun: DRY_RUN, meetingId, groupId, userId, sessionId });
+
+      if (!DRY_RUN) database.dropSession(meetingId, groupId, userId);
+
+      resolve();
+    });
+  });
+};
+
+const reconcileSessions = (backend, groupId, group, summary) => {
+  return api.callBackend(backend, 'listSessionsOfGroup', { groupID: groupId }).then(response => {
+    // Etherpad replies null for groups without sessions
+    const sessions = response || {};
+    const known = Object.values(group.sessions);
+
+    const orphans = Object.entries(sessions).filter(([sessionId]) => !known.includes(sessionId));
+    const promises = orphans.map(([sessionId, info]) => {
+      return reconcileSession(backend, groupId, group, summary, sessionId, info);
+    });
+
+    const missing = Object.keys(group.sessions).filter(userId => !sessions[group.sessions[userId]]);
+    missing.forEach(userId => promises.push(reconcileKnownSession(backend, groupId, group, summary, userId)));
+
+    return Promise.all(promises);
+  });
+};
+
+// Without anything persisted, as on the first run after upgrading, every group looks orphaned
+const isPersisted = (groups, scheduled) => Object.keys(groups).length !== 0 || scheduled.length !== 0;
+
+const reconcileGroup = (backend, groupId, groups, scheduled, summary) => {
+  const group = groups[groupId];
+
+  // Ended meetings' groups are left to the retention policy
+  if (scheduled.includes(groupId)) return Promise.resolve();
+
+  if (!group) {
+    summary.groups.orphaned++;
+    const context = { backend, groupId };
+
+    // Orphaned groups cannot be adopted since their meeting is unknown, nor told apart from kept ones
+    if (POLICY === policies.REMOVE && isPersisted(groups, scheduled) && !retention.isKept()) {
+      return remove(backend, summary, 'groups', 'deleteGroup', { groupID: groupId }, context);
+    }
+
+    logger.info('groups', 'kept', context);
+
+    return Promise.resolve();
+  }
+
+  return Promise.all([
+    reconcilePads(backend, groupId, group, summary),
+    reconcileSessions(backend, groupId, group, summary),
+  ]).catch(() => logger.error(ids.GROUP, 'reconciling', { groupId }));
+};
+
+const start = () => {
+  if (!ENABLED) return Promise.resolve();
+
+  const summary = buildSummary();
+  const groups = database.getGroups();
+
+  // Backends down at startup are not reconciled
+  const backends = api.getHealthyBackends();
+
+  return retention.getScheduled().then(scheduled => {
+    if (!isPersisted(groups, scheduled)) logger.warn('nothing persisted, orphaned groups are kept');
+
+    // Backends side by side, one group at a time on each to spare Etherpad
+    const promises = backends.map(backend => {
+      return api.callBackend(backend, 'listAllGroups').then(response => {
+        const { groupIDs: groupIds } = response;
+
+        return retention.prune(backend, groupIds).then(() => {
+          return groupIds.reduce((next, groupId) => {
+            return next.then(() => reconcileGroup(backend, groupId, groups, scheduled, summary));
+          }, Promise.resolve());
+        });
+      });
+    });
+
+    // Unreachable backends do not cost the others their summary
+    return Promise.allSettled(promises).then(results => {
+      results.forEach(({ status }, index) => {
+        if (status === 'rejected') logger.error('reconciling', { backend: backends[index] });
+      });
+    });
+  }).then(() => {
+    logger.info('summary', summary);
+
+    sender.send('reconciled', null, summary);
+
+    return summary;
+  });
+};
+
+module.exports = {
+  start,
+};
@@ -0,0 +1,140 @@
+jest.mock('../etherpad/api', () => ({
+  callBackend: jest.fn(),
+  getHealthyBackends: jest.fn(() => ['etherpad']),
+}));
+
+jest.mock('../redis/database', () => ({
+  getGroups: jest.fn(),
+  adoptPad: jest.fn(() => true),
+  adoptSession: jest.fn(() => true),
+  dropSession: jest.fn(),
+}));
+
+jest.mock('../redis/mapper', () => ({
+  getUser: jest.fn(() => ({ meetingId: 'meeting', userId: 'user' })),
+}));
+
+jest.mock('./retention', () => ({
+  getScheduled: jest.fn(() => Promise.resolve([])),
+  prune: jest.fn(() => Promise.resolve([])),
+  isKept: jest.fn(() => false),
+}));
+
+jest.mock('../redis/sender', () => ({ send: jest.fn() }));
+
+let api = null;
+let database = null;
+
+// Etherpad knows of one group more, one pad more and lost a session
+const etherpad = (backend, method) => {
+  switch (method) {
+    case 'listAllGroups':
+      return Promise.resolve({ groupIDs: ['g.known', 'g.orphan'] });
+    case 'listPads':
+      return Promise.resolve({ padIDs: ['g.known$notes', 'g.known$orphan'] });
+    case 'listSessionsOfGroup':
+      return Promise.resolve({ 's.orphan': { authorID: 'a.user', validUntil: 0 } });
+    case 'getSessionInfo':
+      return Promise.reject();
+    default:
+      return Promise.resolve(null);
+  }
+};
+
+const groups = {
+  'g.known': {
+    meetingId: 'meeting',
+    padIds: ['g.known$notes'],
+    sessions: { user: 's.known' },
+  },
+};
+
+const load = (reconciliation) => {
+  jest.resetModules();
+  jest.doMock('../../config', () => ({
+    log: { level: 'info' },
+    reconciliation,
+  }));
+
+  api = require('../etherpad/api');
+  database = require('../redis/database');
+  api.callBackend.mockImplementation(etherpad);
+
+  return require('./reconciler');
+};
+
+const getCalls = (method) => api.callBackend.mock.calls.filter(([, name]) => name === method).map(([, , params]) => params);
+
+test('orphans are removed', async () => {
+  const reconciler = load({ policy: 'remove', dryRun: false });
+  database.getGroups.mockReturnValue(groups);
+
+  const summary = await reconciler.start();
+
+  expect(getCalls('deleteGroup')).toEqual([{ groupID: 'g.orphan' }]);
+  expect(getCalls('deletePad')).toEqual([{ padID: 'g.known$orphan' }]);
+  expect(getCalls('deleteSession')).toEqual([{ sessionID: 's.orphan' }]);
+  expect(database.dropSession).toHaveBeenCalledWith('meeting', 'g.known', 'user');
+  expect(summary.groups).toEqual({ orphaned: 1, adopted: 0, removed: 1 });
+});
+
+test('groups are kept while nothing is persisted', async () => {
+  const reconciler = load({ policy: 'remove', dryRun: false });
+  database.getGroups.mockReturnValue({});
+
+  const summary = await reconciler.start();
+
+  expect(getCalls('deleteGroup')).toHaveLength(0);
+  expect(summary.groups).toEqual({ orphaned: 2, adopted: 0, removed: 0 });
+});
+
+test('dry runs only report', async () => {
+  const reconciler = load({});
+  database.getGroups.mockReturnValue(groups);
+
+  const summary = await reconciler.start();
+
+  expect(getCalls('deleteGroup')).toHaveLength(0);
+  expect(getCalls('deletePad')).toHaveLength(0);
+  expect(getCalls('deleteSession')).toHaveLength(0);
+  expect(database.dropSession).not.toHaveBeenCalled();
+  expect(summary).toMatchObject({ policy: 'remove', dryRun: true, pads: { orphaned: 1, removed: 0 } });
+});
+
+test('orphaned pads and sessions are adopted', async () => {
+  const reconciler = load({ policy: 'adopt', dryRun: false });
+  database.getGroups.mockReturnValue(groups);
+
+  const summary = await reconciler.start();
+
+  expect(getCalls('deleteGroup')).toHaveLength(0);
+  expect(database.adoptPad).toHaveBeenCalledWith('meeting', 'g.known', 'g.known$orphan');
+  expect(database.adoptSession).toHaveBeenCalledWith('meeting', 'g.known', 'user', { sessionId: 's.orphan', expiration: 0 });
+  expect(summary.pads.adopted).toBe(1);
+  expect(summary.sessions.adopted).toBe(1);
+});
+
+test('groups are kept along with the retention policy', async () => {
+  const reconciler = load({ policy: 'remove', dryRun: false });
+  require('./retention').isKept.mockReturnValue(true);
+  database.getGroups.mockReturnValue(groups);
+
+  const summary = await reconciler.start();
+
+  expect(getCalls('deleteGroup')).toHaveLength(0);
+  expect(summary.groups).toEqual({ orphaned: 1, adopted: 0, removed: 0 });
+});
+
+test('unreachable backends do not stop the others', async () => {
+  const reconciler = load({ policy: 'remove', dryRun: false });
+  api.getHealthyBackends.mockReturnValue(['down', 'etherpad']);
+  api.callBackend.mockImplementation((backend, method) => {
+    return backend === 'down' ? Promise.reject() : etherpad(backend, method);
+  });
+  database.getGroups.mockReturnValue(groups);
+
+  const summary = await reconciler.start();
+
+  expect(getCalls('deleteGroup')).toEqual([{ groupID: 'g.orphan' }]);
+  expect(summary.groups).toEqual({ orphaned: 1, adopted: 0, removed: 1 });
+});
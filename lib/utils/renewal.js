@@ -0,0 +1,58 @@
+const database = require('../redis/database');
+const { ids } = require('./constants');
+const Logger = require('./logger');
+const config = require('../../config');
+
+const logger = new Logger('renewal');
+
+const { renewal: settings = {} } = config.etherpad.session;
+
+const {
+  enabled: ENABLED = true,
+  threshold: THRESHOLD = 600000,
+  interval: INTERVAL = 60000,
+} = settings;
+
+let interval = null;
+
+let running = false;
+
+const renew = () => {
+  if (running) return;
+
+  const sessions = database.getExpiringSessions(Date.now() + THRESHOLD);
+  if (sessions.length === 0) return;
+
+  running = true;
+
+  // One session at a time to spare Etherpad
+  sessions.reduce((chain, { meetingId, groupId, userId }) => chain.then(() => {
+    return database.renewSession(meetingId, groupId, userId).catch(() => {
+      logger.error(ids.SESSION, 'renewing', { meetingId, groupId, userId });
+    });
+  }), Promise.resolve()).then(() => {
+    logger.debug('renewed', { sessions: sessions.length });
+    running = false;
+  });
+};
+
+const start = () => {
+  if (!ENABLED) return;
+
+  stop();
+  interval = setInterval(renew, INTERVAL);
+  logger.info('started', { interval: `${INTERVAL / 60000} minutes` });
+};
+
+const stop = () => {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+    logger.info('stopped');
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+};
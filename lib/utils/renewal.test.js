@@ -0,0 +1,53 @@
+jest.mock('../../config', () => ({
+  log: { level: 'info' },
+  etherpad: {
+    session: {
+      renewal: { threshold: 600000, interval: 60000 },
+    },
+  },
+}));
+
+jest.mock('../redis/database', () => ({
+  getExpiringSessions: jest.fn(),
+  renewSession: jest.fn(),
+}));
+
+const database = require('../redis/database');
+const renewal = require('./renewal');
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+beforeEach(() => jest.useFakeTimers());
+
+afterEach(() => {
+  renewal.stop();
+  jest.useRealTimers();
+});
+
+test('expiring sessions are renewed on every interval', async () => {
+  const sessions = [
+    { meetingId: 'meeting', groupId: 'g.1', userId: 'a' },
+    { meetingId: 'meeting', groupId: 'g.1', userId: 'b' },
+  ];
+  database.getExpiringSessions.mockReturnValue(sessions);
+  database.renewSession.mockImplementation((meetingId, groupId, userId) => {
+    return userId === 'a' ? Promise.reject() : Promise.resolve({});
+  });
+
+  renewal.start();
+  expect(database.renewSession).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(60000);
+  await flush();
+
+  expect(database.getExpiringSessions).toHaveBeenCalledWith(Date.now() + 600000);
+  expect(database.renewSession.mock.calls).toEqual([
+    ['meeting', 'g.1', 'a'],
+    ['meeting', 'g.1', 'b'],
+  ]);
+
+  // A failed renewal is tried again on the next interval
+  jest.advanceTimersByTime(60000);
+  await flush();
+  expect(database.renewSession).toHaveBeenCalledTimes(4);
+});
@@ -0,0 +1,186 @@
+const api = require('../etherpad/api');
+const persistence = require('../persistence');
+const sender = require('../redis/sender');
+const { ids } = require('./constants');
+const Logger = require('./logger');
+const config = require('../../config');
+
+const logger = new Logger('retention');
+
+const { retention: settings = {} } = config;
+
+const {
+  policy: POLICY = 'delayed',
+  delay: DELAY = 86400000,
+  interval: INTERVAL = 60000,
+  attempts: ATTEMPTS = 3,
+} = settings;
+
+const policies = {
+  IMMEDIATE: 'immediate',
+  DELAYED: 'delayed',
+  KEEP: 'keep',
+};
+
+// Longest wait between failed purges
+const BACKOFF = 3600000;
+
+// Pending Etherpad group deletions, persisted to survive restarts
+const store = persistence.createStore('retention');
+
+const tasks = {};
+
+let interval = null;
+
+let running = false;
+
+const finish = (groupId) => {
+  delete tasks[groupId];
+  store.remove(groupId);
+};
+
+const purge = (groupId) => {
+  const task = tasks[groupId];
+  const {
+    meetingId,
+    backend = null,
+    padIds,
+  } = task;
+
+  // Etherpad removes the group's pads and sessions along with it
+  return api.callBackend(backend, 'deleteGroup', { groupID: groupId }).then(() => {
+    finish(groupId);
+    logger.info(ids.GROUP, 'purged', { meetingId, groupId, padIds });
+
+    sender.send('groupPurged', meetingId, { groupId, padIds });
+
+    return true;
+  }).catch(() => {
+    task.attempts++;
+    logger.error(ids.GROUP, 'purging', { meetingId, groupId, attempts: task.attempts });
+
+    // Failing groups are retried less and less often, never given up on
+    task.at = Date.now() + Math.min(INTERVAL * 2 ** (task.attempts - 1), BACKOFF);
+    if (task.attempts === ATTEMPTS) logger.error(ids.GROUP, 'purge failing', { meetingId, groupId, backend });
+
+    store.save(groupId, task);
+
+    return false;
+  });
+};
+
+const tick = () => {
+  if (running) return;
+
+  const now = Date.now();
+  const due = Object.keys(tasks).filter(groupId => {
+    const { at } = tasks[groupId];
+
+    return at !== null && at <= now;
+  });
+  if (due.length === 0) return;
+
+  running = true;
+
+  const summary = {
+    purged: 0,
+    failed: 0,
+  };
+
+  // One group at a time to spare Etherpad
+  due.reduce((chain, groupId) => chain.then(() => {
+    return purge(groupId).then(purged => {
+      if (purged) {
+        summary.purged++;
+      } else {
+        summary.failed++;
+      }
+    });
+  }), Promise.resolve()).then(() => {
+    logger.info('purged', summary);
+    running = false;
+  });
+};
+
+const buildTime = () => POLICY === policies.IMMEDIATE ? Date.now() : Date.now() + DELAY;
+
+// Kept groups are not recorded, reconciliation leaves every group alone instead
+const isKept = () => POLICY === policies.KEEP;
+
+const schedule = (meetingId, groupId, padIds = []) => {
+  if (isKept()) {
+    logger.trace(ids.GROUP, 'kept', { meetingId, groupId });
+
+    return;
+  }
+
+  // Meetings are long gone, along with their backend, by purge time
+  tasks[groupId] = {
+    meetingId,
+    backend: api.getBackend(meetingId),
+    padIds,
+    at: buildTime(),
+    attempts: 0,
+  };
+
+  store.save(groupId, tasks[groupId]);
+  logger.trace(ids.GROUP, 'scheduled', { meetingId, groupId, at: tasks[groupId].at });
+
+  if (POLICY === policies.IMMEDIATE) tick();
+};
+
+// Groups waiting for deletion, including the ones not loaded yet
+const getScheduled = () => {
+  return store.load().then(records => Object.keys({ ...records, ...tasks }));
+};
+
+// Records of groups no longer listed by their backend, or kept for good, are of no use anymore
+const prune = (backend, groupIds) => {
+  return store.load().then(records => {
+    const pruned = Object.keys({ ...records, ...tasks }).filter(groupId => {
+      const task = tasks[groupId] || records[groupId];
+
+      // Records from before backends were tracked belong to the main Etherpad server
+      return (task.backend || api.getDefaultBackend()) === backend && (isKept() || !groupIds.includes(groupId));
+    });
+
+    pruned.forEach(groupId => finish(groupId));
+    if (pruned.length !== 0) logger.info('pruned', { backend, groups: pruned.length });
+
+    return pruned;
+  });
+};
+
+const start = () => {
+  if (POLICY === policies.KEEP) return;
+
+  stop();
+  store.load().then(records => {
+    Object.entries(records).forEach(([groupId, task]) => {
+      if (!tasks[groupId]) tasks[groupId] = task;
+    });
+
+    logger.info('loaded', { tasks: Object.keys(records).length });
+    tick();
+  }).catch(() => logger.error('loading'));
+
+  interval = setInterval(tick, INTERVAL);
+  logger.info('started', { policy: POLICY, interval: `${INTERVAL / 60000} minutes` });
+};
+
+const stop = () => {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+    logger.info('stopped');
+  }
+};
+
+module.exports = {
+  getScheduled,
+  isKept,
+  prune,
+  schedule,
+  start,
+  stop,
+};
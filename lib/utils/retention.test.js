@@ -0,0 +1,111 @@
+jest.mock('../etherpad/api', () => ({
+  callBackend: jest.fn(),
+  getBackend: jest.fn(() => 'etherpad'),
+  getDefaultBackend: jest.fn(() => 'etherpad'),
+}));
+
+jest.mock('../redis/sender', () => ({ send: jest.fn() }));
+
+let api = null;
+let persistence = null;
+let retention = null;
+let sender = null;
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+// A fresh retention module and store for each policy
+const load = (policy, interval = 3600000) => {
+  jest.resetModules();
+  jest.doMock('../../config', () => ({
+    log: { level: 'info' },
+    redis: {},
+    persistence: { backend: 'memory' },
+    retention: { policy, interval, attempts: 2 },
+  }));
+
+  api = require('../etherpad/api');
+  persistence = require('../persistence');
+  retention = require('./retention');
+  sender = require('../redis/sender');
+  api.callBackend.mockImplementation(() => Promise.resolve(null));
+};
+
+const getRecords = () => persistence.createStore('retention').load();
+
+const getPurges = () => api.callBackend.mock.calls.filter(([, method]) => method === 'deleteGroup').length;
+
+afterEach(() => {
+  retention.stop();
+  jest.useRealTimers();
+});
+
+test('immediate purges', async () => {
+  load('immediate');
+  retention.schedule('meeting', 'g.1', ['g.1$notes']);
+  await flush();
+
+  expect(api.callBackend).toHaveBeenCalledWith('etherpad', 'deleteGroup', { groupID: 'g.1' });
+  expect(sender.send).toHaveBeenCalledWith('groupPurged', 'meeting', { groupId: 'g.1', padIds: ['g.1$notes'] });
+  expect(await getRecords()).toEqual({});
+});
+
+test('failing purges are backed off, never dropped', async () => {
+  jest.useFakeTimers();
+  load('immediate', 1000);
+  api.callBackend.mockImplementation(() => Promise.reject());
+
+  retention.schedule('meeting', 'g.1');
+  await flush();
+  retention.start();
+  await flush();
+  expect(getPurges()).toBe(1);
+
+  jest.advanceTimersByTime(1000);
+  await flush();
+  expect(getPurges()).toBe(2);
+
+  // Past its attempts the group waits twice as long
+  jest.advanceTimersByTime(1000);
+  await flush();
+  expect(getPurges()).toBe(2);
+  jest.advanceTimersByTime(1000);
+  await flush();
+  expect(getPurges()).toBe(3);
+  expect(Object.keys(await getRecords())).toEqual(['g.1']);
+
+  api.callBackend.mockImplementation(() => Promise.resolve(null));
+  jest.advanceTimersByTime(4000);
+  await flush();
+  expect(getPurges()).toBe(4);
+  expect(await getRecords()).toEqual({});
+});
+
+test('records of groups gone from their backend are pruned', async () => {
+  load('delayed');
+  const store = persistence.createStore('retention');
+  await store.save('g.legacy', { meetingId: 'meeting', padIds: [], at: 0, attempts: 0 });
+  retention.schedule('meeting', 'g.listed');
+  retention.schedule('meeting', 'g.gone');
+  await flush();
+
+  expect(await retention.prune('other', [])).toEqual([]);
+
+  // Records from before backends were tracked belong to the default one
+  expect(await retention.prune('etherpad', ['g.listed'])).toEqual(['g.legacy', 'g.gone']);
+  expect(await retention.getScheduled()).toEqual(['g.listed']);
+});
+
+test('kept groups are not recorded', async () => {
+  load('keep');
+  await persistence.createStore('retention').save('g.old', { backend: 'etherpad', padIds: [], at: null, attempts: 0 });
+  retention.schedule('meeting', 'g.1');
+  await flush();
+
+  expect(retention.isKept()).toBe(true);
+  expect(getPurges()).toBe(0);
+  expect(await retention.getScheduled()).toEqual(['g.old']);
+
+  // Records stored before are dropped even while their group is still listed
+  expect(await retention.prune('etherpad', ['g.old'])).toEqual(['g.old']);
+  expect(await getRecords()).toEqual({});
+});
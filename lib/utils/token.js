@@ -0,0 +1,62 @@
+const crypto = require('node:crypto');
+const config = require('../../config');
+const Logger = require('./logger');
+
+const logger = new Logger('token');
+
+const { token: settings = {} } = config.express;
+
+const { ttl: TTL = 3600000 } = settings;
+
+// Without a configured secret tokens do not outlive the process
+const SECRET = settings.secret || crypto.randomBytes(32).toString('hex');
+
+const encode = (buffer) => buffer.toString('base64url');
+
+const buildSignature = (data) => crypto.createHmac('sha256', SECRET).update(data).digest();
+
+const sign = (payload, ttl = TTL) => {
+  const expiration = Date.now() + ttl;
+  const data = encode(Buffer.from(JSON.stringify({ ...payload, expiration })));
+
+  return {
+    token: `${data}.${encode(buildSignature(data))}`,
+    expiration,
+  };
+};
+
+// Resolves the payload of valid tokens, null otherwise
+const verify = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = buildSignature(data);
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logger.warn('signature', 'invalid');
+
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.expiration || payload.expiration < Date.now()) {
+    logger.warn('token', 'expired', { expiration: payload.expiration });
+
+    return null;
+  }
+
+  return payload;
+};
+
+module.exports = {
+  sign,
+  verify,
+};
@@ -0,0 +1,26 @@
+const {
+  sign,
+  verify,
+} = require('./token');
+
+test('token verification', () => {
+  const { token, expiration } = sign({ padId: 'padId' });
+
+  expect(verify(token)).toEqual({ padId: 'padId', expiration });
+});
+
+test('tampered token verification', () => {
+  const { token } = sign({ padId: 'padId' });
+  const [, signature] = token.split('.');
+  const data = Buffer.from(JSON.stringify({ padId: 'other', expiration: Date.now() + 1000 })).toString('base64url');
+
+  expect(verify(`${data}.${signature}`)).toBe(null);
+  expect(verify('invalid')).toBe(null);
+  expect(verify()).toBe(null);
+});
+
+test('expired token verification', () => {
+  const { token } = sign({ padId: 'padId' }, -1);
+
+  expect(verify(token)).toBe(null);
+});